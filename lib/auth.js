@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+const BCRYPT_ROUNDS = 12;
+const SESSION_TTL_HOURS = Number(process.env.ADMIN_SESSION_TTL_HOURS) || 12;
+
+// Schemas
+const AdminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Only a SHA-256 hash of the session token is stored, so a database leak
+// does not hand out working sessions.
+const AdminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AdminUserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+AdminUserSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+AdminUserSchema.methods.toPublicJSON = function () {
+  return { id: this.id, username: this.username, name: this.name };
+};
+
+const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+const AdminSession = mongoose.model('AdminSession', AdminSessionSchema);
+
+// Compared against when the username is unknown so failed logins take the
+// same time whether or not the account exists.
+const DUMMY_HASH = '$2a$12$iIPy/KvNd98RNsuGN71w8ezaqdbUELrMCedd4SY30mAOL/ox5Nivm';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Checks a username/password pair and opens a new session for it.
+ * Resolves to null when the credentials are wrong.
+ */
+async function login(username, password) {
+  const user = await AdminUser.findOne({ username: String(username || '').toLowerCase().trim() });
+  if (!user) {
+    await bcrypt.compare(String(password || ''), DUMMY_HASH);
+    return null;
+  }
+  if (!(await user.checkPassword(String(password || '')))) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await AdminSession.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  return { token, expiresAt, user };
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware that only lets requests with a valid admin session
+ * through. Sets req.admin and req.adminSession for the route handler.
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    const session = token &&
+      await AdminSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).populate('user');
+    if (!session || !session.user) {
+      return res.status(401).json({ success: false, error: 'Admin login required.' });
+    }
+    req.admin = session.user;
+    req.adminSession = session;
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  AdminUser,
+  AdminSession,
+  login,
+  requireAdmin,
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const CLIENT_LOGO_DIR = path.resolve(process.env.CLIENT_LOGO_DIR || 'uploads/clients');
+// Where server.js serves the stored logos from
+const CLIENT_LOGO_URL_PATH = '/media/clients';
+
+// Logos are shown at most 140×70 px in the slider; this leaves room for high-density screens
+const CLIENT_LOGO_MAX_WIDTH = 480;
+const CLIENT_LOGO_MAX_HEIGHT = 240;
+const CLIENT_LOGO_WEBP_QUALITY = 90;
+
+fs.mkdirSync(CLIENT_LOGO_DIR, { recursive: true });
+
+/**
+ * Stores an uploaded logo as a WebP image under a random name, scaled down to
+ * fit CLIENT_LOGO_MAX_WIDTH × CLIENT_LOGO_MAX_HEIGHT. Transparency is kept and
+ * metadata dropped. Rejects if the upload isn't an image sharp can read,
+ * leaving nothing behind.
+ *
+ * @param {Buffer} buffer The uploaded file
+ * @returns {Promise<string>} The stored file's name
+ */
+async function storeClientLogo(buffer) {
+  const filename = `${crypto.randomBytes(16).toString('hex')}.webp`;
+  try {
+    await sharp(buffer, { failOn: 'error' })
+      .rotate()
+      .resize(CLIENT_LOGO_MAX_WIDTH, CLIENT_LOGO_MAX_HEIGHT, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: CLIENT_LOGO_WEBP_QUALITY })
+      .toFile(path.join(CLIENT_LOGO_DIR, filename));
+    return filename;
+  } catch (err) {
+    removeClientLogo(filename);
+    throw err;
+  }
+}
+
+/**
+ * Deletes a stored logo that is no longer used.
+ */
+function removeClientLogo(filename) {
+  if (filename) fs.unlink(path.join(CLIENT_LOGO_DIR, path.basename(filename)), () => {});
+}
+
+function clientLogoUrl(filename) {
+  return `${CLIENT_LOGO_URL_PATH}/${encodeURIComponent(filename)}`;
+}
+
+module.exports = {
+  CLIENT_LOGO_DIR,
+  CLIENT_LOGO_URL_PATH,
+  storeClientLogo,
+  removeClientLogo,
+  clientLogoUrl,
+};
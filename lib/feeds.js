@@ -0,0 +1,104 @@
+const { PUBLIC_URL, SITE_URL } = require('./notifications');
+const { EMPLOYMENT_TYPE_LABELS, escapeHtml, formatRange, jobUrl } = require('./seo');
+
+function feedTitle({ industry, location }) {
+  const narrowedTo = [industry, location && `in ${location}`].filter(Boolean).join(' ');
+  return `Muster Consultants job openings${narrowedTo ? ` - ${narrowedTo}` : ''}`;
+}
+
+function jobSummary(job) {
+  const experience = formatRange(job.experienceMin, job.experienceMax);
+  const salary = formatRange(job.salaryMin, job.salaryMax);
+  return [
+    job.company,
+    job.location,
+    job.industry,
+    EMPLOYMENT_TYPE_LABELS[job.employmentType],
+    experience && `${experience} yrs experience`,
+    salary && `${salary} LPA`,
+  ].filter(Boolean).join(' · ');
+}
+
+// Item body: the key facts, then the description, as escaped HTML
+function jobContent(job) {
+  const description = job.description ? `<p>${escapeHtml(job.description).replace(/\r?\n/g, '<br>')}</p>` : '';
+  return `<p>${escapeHtml(jobSummary(job))}</p>${description}`;
+}
+
+function postedDate(job) {
+  return new Date(job.postedDate || job.createdAt);
+}
+
+function renderRss(jobs, { filters, selfUrl, lastModified }) {
+  const items = jobs.map(job => `    <item>
+      <title>${escapeHtml(`${job.title} - ${job.company}, ${job.location}`)}</title>
+      <link>${escapeHtml(jobUrl(job))}</link>
+      <guid isPermaLink="false">${escapeHtml(String(job._id))}</guid>
+      <pubDate>${postedDate(job).toUTCString()}</pubDate>${job.industry ? `
+      <category>${escapeHtml(job.industry)}</category>` : ''}
+      <description>${escapeHtml(jobContent(job))}</description>
+    </item>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(feedTitle(filters))}</title>
+    <link>${escapeHtml(`${SITE_URL}/seeker.html`)}</link>
+    <description>Current job openings from Muster Consultants Pvt Ltd</description>
+    <language>en-in</language>
+    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(jobs, { filters, selfUrl, lastModified }) {
+  const entries = jobs.map(job => `  <entry>
+    <title>${escapeHtml(`${job.title} - ${job.company}, ${job.location}`)}</title>
+    <link href="${escapeHtml(jobUrl(job))}"/>
+    <id>${escapeHtml(jobUrl(job))}</id>
+    <published>${postedDate(job).toISOString()}</published>
+    <updated>${new Date(job.updatedAt || postedDate(job)).toISOString()}</updated>
+    <author><name>${escapeHtml(job.company)}</name></author>${job.industry ? `
+    <category term="${escapeHtml(job.industry)}"/>` : ''}
+    <summary>${escapeHtml(jobSummary(job))}</summary>
+    <content type="html">${escapeHtml(jobContent(job))}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feedTitle(filters))}</title>
+  <link href="${escapeHtml(`${SITE_URL}/seeker.html`)}"/>
+  <link href="${escapeHtml(selfUrl)}" rel="self"/>
+  <id>${escapeHtml(selfUrl)}</id>
+  <updated>${lastModified.toISOString()}</updated>
+  <author><name>Muster Consultants Pvt Ltd</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Sends a feed of jobs, newest first, as RSS 2.0 or Atom. Express adds an
+ * ETag and answers conditional requests for an unchanged feed with 304.
+ *
+ * There is deliberately no Last-Modified header. The latest change to a job
+ * still in the feed goes back in time when the newest job is closed or
+ * deleted, so readers sending only If-Modified-Since would keep the removed job.
+ *
+ * @param {object} options
+ * @param {string} options.format 'rss' or 'atom'
+ * @param {object} options.filters The industry and location the feed is narrowed to
+ */
+function sendJobFeed(req, res, jobs, { format, filters }) {
+  const selfUrl = `${PUBLIC_URL}${req.originalUrl}`;
+  const lastModified = new Date(Math.max(0, ...jobs.map(job => new Date(job.updatedAt || postedDate(job)).getTime())));
+  const render = format === 'atom' ? renderAtom : renderRss;
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type(format === 'atom' ? 'application/atom+xml' : 'application/rss+xml');
+  res.send(render(jobs, { filters, selfUrl, lastModified }));
+}
+
+module.exports = {
+  sendJobFeed,
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const GALLERY_UPLOAD_DIR = path.resolve(process.env.GALLERY_UPLOAD_DIR || 'uploads/gallery');
+// Where server.js serves the stored images from
+const GALLERY_URL_PATH = '/media/gallery';
+
+// Photos are stored at most this wide or high, which is plenty for a lightbox
+const GALLERY_IMAGE_MAX_PX = 1920;
+const GALLERY_THUMBNAIL_WIDTH = 480;
+const GALLERY_THUMBNAIL_HEIGHT = 360;
+const GALLERY_JPEG_QUALITY = 82;
+
+fs.mkdirSync(GALLERY_UPLOAD_DIR, { recursive: true });
+
+function removeFiles(filenames) {
+  filenames.filter(Boolean).forEach(filename => {
+    fs.unlink(path.join(GALLERY_UPLOAD_DIR, path.basename(filename)), () => {});
+  });
+}
+
+/**
+ * Stores an uploaded photo as a web-sized JPEG and a cropped thumbnail under
+ * random names. The camera's orientation is applied and its metadata (which
+ * can include where the photo was taken) is dropped. Rejects if the upload
+ * isn't an image sharp can read, leaving nothing behind.
+ *
+ * @param {Buffer} buffer The uploaded file
+ * @returns {Promise<{ filename: string, thumbnailFilename: string, width: number, height: number }>}
+ */
+async function storePhotoImages(buffer) {
+  const name = crypto.randomBytes(16).toString('hex');
+  const filename = `${name}.jpg`;
+  const thumbnailFilename = `${name}-thumb.jpg`;
+  // Transparent PNGs would otherwise turn black as JPEGs
+  const image = sharp(buffer, { failOn: 'error' }).rotate().flatten({ background: '#ffffff' });
+  try {
+    const [{ width, height }] = await Promise.all([
+      image.clone()
+        .resize(GALLERY_IMAGE_MAX_PX, GALLERY_IMAGE_MAX_PX, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: GALLERY_JPEG_QUALITY, mozjpeg: true })
+        .toFile(path.join(GALLERY_UPLOAD_DIR, filename)),
+      image.clone()
+        .resize(GALLERY_THUMBNAIL_WIDTH, GALLERY_THUMBNAIL_HEIGHT, { fit: 'cover', position: sharp.strategy.attention })
+        .jpeg({ quality: GALLERY_JPEG_QUALITY, mozjpeg: true })
+        .toFile(path.join(GALLERY_UPLOAD_DIR, thumbnailFilename)),
+    ]);
+    return { filename, thumbnailFilename, width, height };
+  } catch (err) {
+    removeFiles([filename, thumbnailFilename]);
+    throw err;
+  }
+}
+
+/**
+ * Deletes the stored images of photos that were removed from the gallery.
+ */
+function removePhotoImages(photos) {
+  photos.forEach(photo => removeFiles([photo.filename, photo.thumbnailFilename]));
+}
+
+function galleryImageUrl(filename) {
+  return `${GALLERY_URL_PATH}/${encodeURIComponent(filename)}`;
+}
+
+module.exports = {
+  GALLERY_UPLOAD_DIR,
+  GALLERY_URL_PATH,
+  storePhotoImages,
+  removePhotoImages,
+  galleryImageUrl,
+};
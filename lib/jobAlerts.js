@@ -0,0 +1,81 @@
+const { sendEmail } = require('./notifications');
+const { jobAlertsUrl, unsubscribeUrl } = require('./newsletter');
+const { EMPLOYMENT_TYPE_LABELS, formatRange, jobUrl } = require('./seo');
+
+const JOB_ALERT_FREQUENCIES = ['off', 'daily', 'weekly'];
+const JOB_ALERT_MAX_JOBS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_INTERVALS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+function includesText(text, search) {
+  return String(text || '').toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * Whether a job matches a subscriber's alert preferences. A job must match
+ * every kind of preference that is set, and any one entry within each: a
+ * keyword in its title, company or description, one of the industries, and
+ * one of the locations. With no preferences set every job matches.
+ */
+function matchesPreferences(job, { keywords = [], industries = [], locations = [] }) {
+  if (keywords.length && !keywords.some(keyword =>
+    [job.title, job.company, job.description].some(text => includesText(text, keyword)))) return false;
+  if (industries.length && !industries.includes(job.industry)) return false;
+  if (locations.length && !locations.some(location => includesText(job.location, location))) return false;
+  return true;
+}
+
+/**
+ * Whether a subscriber's next digest is due. `slackMs` lets a digest go out
+ * a little early, so one that is due just after a scheduled check isn't held
+ * back a whole check interval.
+ */
+function isDigestDue(alerts, now, slackMs = 0) {
+  const interval = FREQUENCY_INTERVALS[alerts.frequency];
+  if (!interval) return false;
+  return !alerts.lastSentAt || now - alerts.lastSentAt >= interval - slackMs;
+}
+
+function describeJob(job) {
+  const experience = formatRange(job.experienceMin, job.experienceMax);
+  const salary = formatRange(job.salaryMin, job.salaryMax);
+  const facts = [
+    job.company,
+    job.location,
+    EMPLOYMENT_TYPE_LABELS[job.employmentType],
+    experience && `${experience} yrs experience`,
+    salary && `${salary} LPA`,
+  ].filter(Boolean).join(' · ');
+  return `${job.title}\n${facts}\n${jobUrl(job)}`;
+}
+
+/**
+ * Emails a subscriber the jobs matching their alerts, newest first. Like
+ * every email it never rejects; see notifications.sendEmail.
+ *
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+function sendJobAlertDigest(subscriber, jobs) {
+  const unsubscribe = unsubscribeUrl(subscriber.email);
+  return sendEmail('job-alert-digest', subscriber.email, {
+    count: jobs.length,
+    jobs: jobs.length === 1 ? 'job' : 'jobs',
+    period: subscriber.jobAlerts.frequency === 'weekly' ? 'this week' : 'today',
+    jobList: jobs.map(describeJob).join('\n\n'),
+    manageUrl: jobAlertsUrl(subscriber.email),
+    unsubscribeUrl: unsubscribe,
+  }, { list: { unsubscribe } });
+}
+
+module.exports = {
+  JOB_ALERT_FREQUENCIES,
+  JOB_ALERT_MAX_JOBS,
+  FREQUENCY_INTERVALS,
+  matchesPreferences,
+  isDigestDue,
+  sendJobAlertDigest,
+};
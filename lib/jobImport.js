@@ -0,0 +1,137 @@
+const path = require('path');
+const { parseCsv } = require('./spreadsheet');
+
+const JOB_IMPORT_MAX_ROWS = Number(process.env.JOB_IMPORT_MAX_ROWS) || 500;
+
+// Column headings clients commonly use for each job field, besides the
+// field's own name. Headings are compared lowercased without spaces or symbols.
+const COLUMN_ALIASES = {
+  title: ['jobtitle', 'position', 'role', 'designation', 'opening'],
+  company: ['client', 'companyname', 'employer', 'organisation', 'organization'],
+  location: ['city', 'joblocation', 'place', 'worklocation'],
+  industry: ['sector', 'domain'],
+  employmentType: ['type', 'jobtype', 'employment', 'staffingtype'],
+  experienceMin: ['minexperience', 'minexp', 'experiencefrom'],
+  experienceMax: ['maxexperience', 'maxexp', 'experienceto'],
+  salaryMin: ['minsalary', 'minctc', 'ctcfrom', 'salaryfrom'],
+  salaryMax: ['maxsalary', 'maxctc', 'ctcto', 'salaryto'],
+  openings: ['vacancies', 'positions', 'noofopenings', 'headcount'],
+  description: ['jobdescription', 'jd', 'details', 'requirements'],
+  postedDate: ['posted', 'postedon', 'date'],
+  expiresAt: ['expiry', 'expirydate', 'expires', 'closingdate', 'lastdate', 'applyby'],
+};
+
+function normalizeHeading(heading) {
+  return String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Reads an uploaded CSV or JSON file into records keyed by column heading.
+ * CSV files need a heading row; JSON files hold an array of objects, or an
+ * object with such an array in `jobs`.
+ *
+ * @param {{originalname: string, buffer: Buffer}} file
+ * @returns {{columns: string[], records: object[]} | {error: string}}
+ */
+function readImportFile(file) {
+  const text = file.buffer.toString('utf8');
+  let columns;
+  let records;
+
+  if (path.extname(file.originalname).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      return { error: 'The file is not valid JSON.' };
+    }
+    const items = Array.isArray(data) ? data : data && data.jobs;
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      return { error: 'The JSON file must contain an array of job objects.' };
+    }
+    columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+    records = items.map(item => Object.fromEntries(columns.map(column => [column, cellText(item[column])])));
+  } else {
+    const [headings = [], ...rows] = parseCsv(text);
+    columns = headings.map(heading => heading.trim());
+    if (columns.some(column => !column) || new Set(columns).size !== columns.length) {
+      return { error: 'The first row of the CSV file must name every column, once each.' };
+    }
+    records = rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] || ''])));
+  }
+
+  if (!records.length) return { error: 'The file has no jobs in it.' };
+  if (records.length > JOB_IMPORT_MAX_ROWS) {
+    return { error: `The file has ${records.length} rows; please import at most ${JOB_IMPORT_MAX_ROWS} at a time.` };
+  }
+  return { columns, records };
+}
+
+/**
+ * Guesses which job field each column holds from its heading. Columns that
+ * don't look like any field map to '' and are left out of the import.
+ *
+ * @param {string[]} columns
+ * @param {string[]} fields The importable job fields
+ * @returns {object} Column heading to field name
+ */
+function suggestMapping(columns, fields) {
+  const used = new Set();
+  return Object.fromEntries(columns.map(column => {
+    const heading = normalizeHeading(column);
+    const field = fields.find(name => !used.has(name) &&
+      (normalizeHeading(name) === heading || (COLUMN_ALIASES[name] || []).includes(heading)));
+    if (field) used.add(field);
+    return [column, field || ''];
+  }));
+}
+
+/**
+ * Checks a column-to-field mapping chosen in the admin panel, sent as JSON.
+ * Falls back to suggestMapping when none was sent.
+ *
+ * @returns {{mapping: object} | {error: string}}
+ */
+function resolveMapping(requested, columns, fields) {
+  if (!requested) return { mapping: suggestMapping(columns, fields) };
+  let mapping;
+  try {
+    mapping = JSON.parse(requested);
+  } catch (err) {
+    return { error: 'Column mapping is not valid JSON.' };
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'Column mapping must map column headings to job fields.' };
+  }
+  const chosen = columns.map(column => mapping[column] || '').filter(Boolean);
+  const unknown = chosen.find(field => !fields.includes(field));
+  if (unknown) return { error: `Unknown job field "${unknown}".` };
+  const repeated = chosen.find((field, index) => chosen.indexOf(field) !== index);
+  if (repeated) return { error: `More than one column is mapped to "${repeated}".` };
+  return { mapping: Object.fromEntries(columns.map(column => [column, mapping[column] || ''])) };
+}
+
+/**
+ * Turns a record into a job body using a column-to-field mapping. Empty cells
+ * are left out so optional fields stay unset.
+ */
+function mapRecord(record, mapping) {
+  const body = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    const value = record[column];
+    if (field && value !== undefined && String(value).trim() !== '') body[field] = value;
+  });
+  return body;
+}
+
+module.exports = {
+  readImportFile,
+  suggestMapping,
+  resolveMapping,
+  mapRecord,
+};
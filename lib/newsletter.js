@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { PUBLIC_URL, SITE_URL, sendEmail } = require('./notifications');
+
+const CONFIRM_TOKEN_TTL_HOURS = 48;
+
+// Unsubscribe links are signed with this secret. Without one a random secret is
+// used, which means links sent before a restart stop working.
+let NEWSLETTER_SECRET = process.env.NEWSLETTER_SECRET;
+if (!NEWSLETTER_SECRET) {
+  console.warn('NEWSLETTER_SECRET is not set; unsubscribe links will only work until the server restarts.');
+  NEWSLETTER_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a one-time subscription confirmation token. Only its hash is meant
+ * to be stored; the token itself goes into the confirmation link.
+ */
+function createConfirmToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + CONFIRM_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+  };
+}
+
+// Each kind of link signs the address with its own purpose, so one link can't
+// be turned into another. Unsubscribe links predate this and sign the bare address.
+function signEmail(email, purpose) {
+  const address = String(email).toLowerCase();
+  return crypto.createHmac('sha256', NEWSLETTER_SECRET).update(purpose ? `${purpose}:${address}` : address).digest('hex');
+}
+
+function isValidSignature(email, signature, purpose) {
+  const expected = Buffer.from(signEmail(email, purpose), 'hex');
+  const actual = Buffer.from(String(signature || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isValidUnsubscribeSignature(email, signature) {
+  return isValidSignature(email, signature);
+}
+
+function isValidJobAlertsSignature(email, signature) {
+  return isValidSignature(email, signature, 'job-alerts');
+}
+
+function confirmUrl(token) {
+  return `${PUBLIC_URL}/api/subscribe/confirm?token=${encodeURIComponent(token)}`;
+}
+
+function unsubscribeUrl(email) {
+  const address = String(email).toLowerCase();
+  const query = new URLSearchParams({ email: address, sig: signEmail(address) });
+  return `${PUBLIC_URL}/api/unsubscribe?${query}`;
+}
+
+/**
+ * Link to the page on the site where a subscriber manages their job alerts.
+ */
+function jobAlertsUrl(email) {
+  const address = String(email).toLowerCase();
+  const query = new URLSearchParams({ email: address, sig: signEmail(address, 'job-alerts') });
+  return `${SITE_URL}/job_alerts.html?${query}`;
+}
+
+/**
+ * Emails the confirmation link for a new subscription. Like every email it
+ * never rejects; see notifications.sendEmail.
+ */
+function sendConfirmationEmail(email, token) {
+  const unsubscribe = unsubscribeUrl(email);
+  return sendEmail('newsletter-confirmation', email, {
+    email,
+    confirmUrl: confirmUrl(token),
+    unsubscribeUrl: unsubscribe,
+    expiresInHours: CONFIRM_TOKEN_TTL_HOURS,
+  }, { list: { unsubscribe } });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+/**
+ * Sends the small HTML page shown when someone follows a confirm or
+ * unsubscribe link from their inbox, optionally with a link onwards.
+ *
+ * @param {{href: string, label: string}} [action]
+ */
+function sendNewsletterPage(res, status, title, message, action) {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} - Muster Consultants Pvt Ltd</title>
+</head>
+<body style="font-family: Inter, Arial, sans-serif; text-align: center; padding: 4rem 1rem; color: #1f2937;">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${action ? `<p><a href="${escapeHtml(action.href)}">${escapeHtml(action.label)}</a></p>` : ''}
+<p><a href="${escapeHtml(SITE_URL)}/index.html">Back to Muster Consultants</a></p>
+</body>
+</html>`);
+}
+
+module.exports = {
+  hashToken,
+  createConfirmToken,
+  isValidUnsubscribeSignature,
+  isValidJobAlertsSignature,
+  unsubscribeUrl,
+  jobAlertsUrl,
+  sendConfirmationEmail,
+  sendNewsletterPage,
+};
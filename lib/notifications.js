@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+const SITE_URL = (process.env.SITE_URL || PUBLIC_URL).replace(/\/$/, '');
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Muster Consultants <musterhrinfo@gmail.com>';
+const RECRUITMENT_EMAIL = process.env.RECRUITMENT_EMAIL || 'musterhrinfo@gmail.com';
+const MAIL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+const EMAIL_TEMPLATE_DIR = path.resolve(process.env.EMAIL_TEMPLATE_DIR || path.join(__dirname, '..', 'templates', 'emails'));
+
+/**
+ * Transport factories, selected with MAIL_TRANSPORT. Each returns a function
+ * that takes a nodemailer message ({ from, to, replyTo, subject, text, ... })
+ * and resolves once the message has been handed off.
+ */
+const transports = {
+  smtp() {
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return message => transporter.sendMail(message);
+  },
+  // Writes each email to MAIL_OUTBOX_DIR as an .eml file any mail client can open
+  file() {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    return async message => {
+      const { message: raw } = await transporter.sendMail(message);
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, filename), raw);
+    };
+  },
+  console() {
+    return async message => {
+      console.log(`--- Email to ${message.to}: ${message.subject}\n${message.text}\n---`);
+    };
+  },
+};
+
+let sendMessage = null;
+
+function getSender() {
+  if (!sendMessage) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}".`);
+    sendMessage = factory();
+  }
+  return sendMessage;
+}
+
+/**
+ * Adds a transport that MAIL_TRANSPORT can select, e.g. for another email provider.
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  if (name === MAIL_TRANSPORT) sendMessage = null;
+}
+
+/**
+ * Fills in an email template from EMAIL_TEMPLATE_DIR. Templates are plain
+ * text files that start with a `Subject:` line and a blank line, with
+ * `{{field}}` placeholders. They are read on every send, so edits apply
+ * without a restart.
+ */
+function renderTemplate(name, data) {
+  const source = fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, `${name}.txt`), 'utf8');
+  const filled = source.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) =>
+    data[field] === undefined || data[field] === null ? '' : String(data[field]));
+  const match = filled.match(/^Subject:(.*)\r?\n\r?\n([\s\S]*)$/);
+  if (!match) throw new Error(`Email template "${name}" must start with a "Subject:" line followed by a blank line.`);
+  return { subject: match[1].replace(/\s+/g, ' ').trim(), text: match[2] };
+}
+
+/**
+ * Renders a template and sends it to `to`. Never rejects: failures are logged
+ * and resolve to false, so a mail outage can't fail the request that caused it.
+ *
+ * @param {object} [options] Extra nodemailer message fields, e.g. replyTo
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendEmail(template, to, data, options = {}) {
+  if (!to) return false;
+  try {
+    const { subject, text } = renderTemplate(template, { siteUrl: SITE_URL, ...data });
+    await getSender()({ from: MAIL_FROM, to, subject, text, ...options });
+    return true;
+  } catch (err) {
+    console.error(`Failed to send "${template}" email to ${to}:`, err.message);
+    return false;
+  }
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Tells the recruitment team about a new contact message and thanks the sender.
+ */
+function notifyContactReceived(contact) {
+  const data = { ...contact.toObject(), receivedAt: formatDateTime(contact.createdAt) };
+  return Promise.all([
+    sendEmail('contact-team', RECRUITMENT_EMAIL, data, { replyTo: contact.email }),
+    sendEmail('contact-acknowledgement', contact.email, data),
+  ]);
+}
+
+/**
+ * Tells the recruitment team about a new job application and sends the
+ * applicant their reference number.
+ */
+function notifyApplicationReceived(application, job) {
+  const fields = application.toObject();
+  const data = {
+    ...fields,
+    position: fields.position || 'General application',
+    company: job ? job.company : '',
+    experienceYears: fields.experienceYears ?? '-',
+    currentCtc: fields.currentCtc ?? '-',
+    expectedCtc: fields.expectedCtc ?? '-',
+    noticePeriodDays: fields.noticePeriodDays ?? '-',
+    // Uploaded resumes are served by this API; other resume links are external
+    resumeLink: fields.resumeFile ? `${PUBLIC_URL}${fields.resumeUrl}` : (fields.resumeUrl || 'not provided'),
+    adminUrl: `${SITE_URL}/admin.html`,
+  };
+  return Promise.all([
+    sendEmail('application-team', RECRUITMENT_EMAIL, data, { replyTo: application.email }),
+    sendEmail('application-acknowledgement', application.email, data),
+  ]);
+}
+
+module.exports = {
+  PUBLIC_URL,
+  SITE_URL,
+  registerTransport,
+  renderTemplate,
+  sendEmail,
+  notifyContactReceived,
+  notifyApplicationReceived,
+};
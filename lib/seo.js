@@ -0,0 +1,249 @@
+const { PUBLIC_URL, SITE_URL } = require('./notifications');
+
+// Public pages of the site listed in the sitemap; admin.html is left out on purpose
+const STATIC_PAGES = [
+  { path: 'index.html', changefreq: 'weekly', priority: 1.0 },
+  { path: 'about.html', changefreq: 'monthly', priority: 0.7 },
+  { path: 'permanent_staffing.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'contract_staffing.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'rpo.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'leadership_hiring.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'specialist_services.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'hr_support.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'training_development.html', changefreq: 'monthly', priority: 0.8 },
+  { path: 'industries_served.html', changefreq: 'monthly', priority: 0.7 },
+  { path: 'seeker.html', changefreq: 'daily', priority: 0.9 },
+  { path: 'gallery.html', changefreq: 'monthly', priority: 0.5 },
+  { path: 'contact.html', changefreq: 'yearly', priority: 0.6 },
+];
+
+const EMPLOYMENT_TYPE_LABELS = {
+  permanent: 'Permanent',
+  contract: 'Contract',
+};
+
+// schema.org employmentType values for our employment types
+const SCHEMA_EMPLOYMENT_TYPES = {
+  permanent: 'FULL_TIME',
+  contract: 'CONTRACTOR',
+};
+
+const LAKH = 100000;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+}
+
+/**
+ * Path of a job's detail page, e.g. /jobs/welder-acme-pune-64f1c2... The words
+ * are only for people and search engines; the id at the end finds the job.
+ */
+function jobPath(job) {
+  const slug = slugify(`${job.title} ${job.company} ${job.location}`);
+  return `/jobs/${slug ? `${slug}-` : ''}${job._id || job.id}`;
+}
+
+function jobUrl(job) {
+  return `${PUBLIC_URL}${jobPath(job)}`;
+}
+
+/**
+ * The job id at the end of a detail page path segment, or null.
+ */
+function jobIdFromSlug(slug) {
+  const match = String(slug).match(/(?:^|-)([0-9a-f]{24})$/i);
+  return match ? match[1] : null;
+}
+
+function formatRange(min, max) {
+  if (min != null && max != null) return min === max ? `${min}` : `${min}-${max}`;
+  if (min != null) return `${min}+`;
+  if (max != null) return `Up to ${max}`;
+  return '';
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * The schema.org JobPosting for a job, as read by Google for Jobs and other
+ * job search aggregators. CTCs are stored in lakhs and published in rupees.
+ */
+function jobPostingJsonLd(job) {
+  const posting = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: escapeHtml(job.description || job.title).replace(/\r?\n/g, '<br>'),
+    identifier: { '@type': 'PropertyValue', name: 'Muster Consultants Pvt Ltd', value: String(job._id || job.id) },
+    datePosted: new Date(job.postedDate || job.createdAt).toISOString().slice(0, 10),
+    hiringOrganization: { '@type': 'Organization', name: job.company },
+    jobLocation: {
+      '@type': 'Place',
+      address: { '@type': 'PostalAddress', addressLocality: job.location, addressCountry: 'IN' },
+    },
+    url: jobUrl(job),
+    directApply: false,
+  };
+  if (job.expiresAt) posting.validThrough = new Date(job.expiresAt).toISOString();
+  if (SCHEMA_EMPLOYMENT_TYPES[job.employmentType]) posting.employmentType = SCHEMA_EMPLOYMENT_TYPES[job.employmentType];
+  if (job.industry) posting.industry = job.industry;
+  if (job.openings) posting.totalJobOpenings = job.openings;
+  if (job.experienceMin != null) {
+    posting.experienceRequirements = {
+      '@type': 'OccupationalExperienceRequirements',
+      monthsOfExperience: Math.round(job.experienceMin * 12),
+    };
+  }
+  if (job.salaryMin != null || job.salaryMax != null) {
+    const value = { '@type': 'QuantitativeValue', unitText: 'YEAR' };
+    if (job.salaryMin != null) value.minValue = Math.round(job.salaryMin * LAKH);
+    if (job.salaryMax != null) value.maxValue = Math.round(job.salaryMax * LAKH);
+    posting.baseSalary = { '@type': 'MonetaryAmount', currency: 'INR', value };
+  }
+  return posting;
+}
+
+// JSON is safe inside <script> once nothing in it can close the tag
+function jsonForScript(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function renderPage({ title, description, canonical, head = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - Muster Consultants Pvt Ltd</title>
+${description ? `<meta name="description" content="${escapeHtml(description)}">` : '<meta name="robots" content="noindex">'}
+${canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}">` : ''}
+<script src="https://cdn.tailwindcss.com"></script>
+<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css">
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap" rel="stylesheet">
+<link rel="stylesheet" href="${escapeHtml(SITE_URL)}/style.css">
+${head}
+</head>
+<body class="bg-gray-50">
+<nav class="bg-white shadow-lg py-3 sm:py-4">
+<div class="container mx-auto flex items-center px-4 sm:px-6 lg:px-12">
+<img src="${escapeHtml(SITE_URL)}/logo.jpg" alt="Muster Consultants Logo" class="h-12 sm:h-14 mr-3 sm:mr-4 rounded-md">
+<a href="${escapeHtml(SITE_URL)}/index.html" class="text-primary-color font-bold text-lg sm:text-xl tracking-wide leading-tight">Muster Consultants<br> Pvt Ltd</a>
+</div>
+</nav>
+<main class="container mx-auto px-4 sm:px-6 lg:px-12 py-12 max-w-3xl">
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * The shareable detail page of an open job, with its JobPosting JSON-LD.
+ */
+function renderJobPage(job) {
+  const experience = formatRange(job.experienceMin, job.experienceMax);
+  const salary = formatRange(job.salaryMin, job.salaryMax);
+  const facts = [
+    ['fa-building', job.company],
+    ['fa-map-marker-alt', job.location],
+    ['fa-industry', job.industry],
+    ['fa-file-signature', EMPLOYMENT_TYPE_LABELS[job.employmentType]],
+    ['fa-user-clock', experience && `${experience} yrs experience`],
+    ['fa-rupee-sign', salary && `${salary} LPA`],
+    ['fa-users', job.openings > 1 ? `${job.openings} openings` : ''],
+  ].filter(([, text]) => text);
+  const summary = (job.description || '').split('\n')[0].slice(0, 155);
+  const applyUrl = `${SITE_URL}/seeker.html?job=${encodeURIComponent(String(job._id || job.id))}`;
+
+  return renderPage({
+    title: `${job.title} at ${job.company}, ${job.location}`,
+    description: summary || `${job.title} opening at ${job.company} in ${job.location}.`,
+    canonical: jobUrl(job),
+    head: `<meta property="og:type" content="website">
+<meta property="og:title" content="${escapeHtml(`${job.title} - ${job.company}`)}">
+<meta property="og:url" content="${escapeHtml(jobUrl(job))}">
+<script type="application/ld+json">${jsonForScript(jobPostingJsonLd(job))}</script>`,
+    body: `<article class="bg-white rounded-2xl shadow-lg p-8">
+<p class="text-sm text-gray-500 mb-2"><a href="${escapeHtml(SITE_URL)}/seeker.html" class="hover:text-primary-color">&laquo; All openings</a></p>
+<h1 class="text-3xl font-bold text-primary-color mb-4">${escapeHtml(job.title)}</h1>
+<ul class="flex flex-wrap gap-x-6 gap-y-2 text-gray-600 mb-6">
+${facts.map(([icon, text]) => `<li><i class="fas ${icon} mr-1"></i> ${escapeHtml(text)}</li>`).join('\n')}
+</ul>
+<div class="text-gray-700 whitespace-pre-line mb-6">${escapeHtml(job.description || '')}</div>
+<p class="text-gray-500 text-sm mb-6">Posted ${escapeHtml(formatDate(job.postedDate || job.createdAt))}${job.expiresAt ? ` &middot; Closes ${escapeHtml(formatDate(job.expiresAt))}` : ''}</p>
+<a href="${escapeHtml(applyUrl)}" class="inline-block bg-gradient-to-r from-blue-600 to-green-500 text-white font-semibold px-8 py-2 rounded-full shadow-lg">Apply Now</a>
+</article>`,
+  });
+}
+
+/**
+ * The page shown for a job that is closed, expired or doesn't exist.
+ */
+function renderJobUnavailablePage() {
+  return renderPage({
+    title: 'Job no longer available',
+    body: `<div class="bg-white rounded-2xl shadow-lg p-8 text-center">
+<h1 class="text-2xl font-bold text-primary-color mb-4">This job is no longer available</h1>
+<p class="text-gray-600 mb-6">It may have been filled or closed. Have a look at our other openings.</p>
+<a href="${escapeHtml(SITE_URL)}/seeker.html" class="inline-block bg-gradient-to-r from-blue-600 to-green-500 text-white font-semibold px-8 py-2 rounded-full shadow-lg">See Openings</a>
+</div>`,
+  });
+}
+
+/**
+ * The sitemap: the static pages of the site plus the detail page of every
+ * open job, passed in as documents with _id, title, company, location and
+ * updatedAt.
+ */
+function renderSitemap(jobs) {
+  const urls = [
+    ...STATIC_PAGES.map(page => ({ loc: `${SITE_URL}/${page.path}`, changefreq: page.changefreq, priority: page.priority })),
+    ...jobs.map(job => ({
+      loc: jobUrl(job),
+      lastmod: new Date(job.updatedAt || job.postedDate || job.createdAt).toISOString(),
+      changefreq: 'weekly',
+      priority: 0.6,
+    })),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeHtml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${url.lastmod}</lastmod>` : ''}
+    <changefreq>${url.changefreq}</changefreq>
+    <priority>${url.priority.toFixed(1)}</priority>
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobotsTxt() {
+  return `User-agent: *
+Disallow: /admin.html
+Disallow: /api/
+
+Sitemap: ${PUBLIC_URL}/sitemap.xml
+`;
+}
+
+module.exports = {
+  EMPLOYMENT_TYPE_LABELS,
+  escapeHtml,
+  formatRange,
+  jobPath,
+  jobUrl,
+  jobIdFromSlug,
+  renderJobPage,
+  renderJobUnavailablePage,
+  renderSitemap,
+  renderRobotsTxt,
+};
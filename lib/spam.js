@@ -0,0 +1,147 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const RATE_LIMIT_WINDOW_MINUTES = Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15;
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP) || 10;
+const RATE_LIMIT_PER_EMAIL = Number(process.env.RATE_LIMIT_PER_EMAIL) || 3;
+const MIN_SUBMIT_SECONDS = Number(process.env.MIN_SUBMIT_SECONDS ?? 3);
+
+const WINDOW_MS = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+// Form fields read (and removed from req.body) by checkSubmission
+const HONEYPOT_FIELD = 'website';
+const STARTED_AT_FIELD = 'formStartedAt';
+
+const BLOCK_REASONS = ['ip-rate-limit', 'email-rate-limit', 'honeypot', 'too-fast'];
+
+// Schemas
+// One counter per key and fixed time window. Counters live in MongoDB rather
+// than memory so limits hold across server instances.
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+// Blocked submissions per day, form and reason, for the admin abuse report
+const BlockedSubmissionStatSchema = new mongoose.Schema({
+  day: { type: String, required: true },
+  form: { type: String, required: true },
+  reason: { type: String, enum: BLOCK_REASONS, required: true },
+  count: { type: Number, default: 0 }
+});
+BlockedSubmissionStatSchema.index({ day: 1, form: 1, reason: 1 }, { unique: true });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+const BlockedSubmissionStat = mongoose.model('BlockedSubmissionStat', BlockedSubmissionStatSchema);
+
+/**
+ * Counts a request against `key` in the current window.
+ * @returns {Promise<number>} Seconds until the window resets when over `limit`, otherwise 0
+ */
+async function hit(key, limit) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / WINDOW_MS) * WINDOW_MS;
+  const expiresAt = new Date(windowStart + WINDOW_MS);
+  const counter = await RateLimitCounter.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  return counter.count > limit ? Math.ceil((expiresAt.getTime() - now) / 1000) : 0;
+}
+
+function recordBlocked(form, reason) {
+  const day = new Date().toISOString().slice(0, 10);
+  BlockedSubmissionStat.updateOne({ day, form, reason }, { $inc: { count: 1 } }, { upsert: true })
+    .catch(err => console.error('Failed to record blocked submission:', err.message));
+}
+
+function formatWait(seconds) {
+  return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+// Only rate limited submissions get a 429 with the time to wait. A filled-in
+// honeypot or a form sent too fast gets a 400, as sending the same submission
+// again would not help (the offline queue retries a 429 but drops a 400).
+function reject(req, res, form, reason, retryAfter) {
+  if (req.file && req.file.path) fs.unlink(req.file.path, () => {});
+  recordBlocked(form, reason);
+  if (!retryAfter) {
+    const error = reason === 'too-fast'
+      ? 'Please take a moment to fill in the form before submitting it.'
+      : 'Your submission could not be accepted.';
+    return res.status(400).json({ success: false, error });
+  }
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ success: false, error: `Too many submissions. Please try again in ${formatWait(retryAfter)}.`, retryAfter });
+}
+
+/**
+ * Express middleware limiting how often one IP address can submit `form`.
+ * Goes before body parsing of uploads so floods never reach the disk.
+ * If the counter store is unavailable the request is let through.
+ */
+function rateLimitByIp(form) {
+  return async (req, res, next) => {
+    try {
+      const retryAfter = await hit(`${form}:ip:${req.ip}`, RATE_LIMIT_PER_IP);
+      if (retryAfter) return reject(req, res, form, 'ip-rate-limit', retryAfter);
+    } catch (err) {
+      console.error('Rate limiting failed:', err.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for a parsed form submission. Rejects it when the hidden
+ * honeypot field was filled in, when it came sooner than MIN_SUBMIT_SECONDS
+ * after the form was shown, or when its email address is over the limit.
+ * Strips the honeypot and timing fields so validation never sees them.
+ */
+function checkSubmission(form) {
+  return async (req, res, next) => {
+    const body = req.body || {};
+    const honeypot = body[HONEYPOT_FIELD];
+    const startedAt = Number(body[STARTED_AT_FIELD]);
+    delete body[HONEYPOT_FIELD];
+    delete body[STARTED_AT_FIELD];
+
+    if (honeypot) return reject(req, res, form, 'honeypot');
+
+    if (!Number.isFinite(startedAt) || Date.now() - startedAt < MIN_SUBMIT_SECONDS * 1000) {
+      return reject(req, res, form, 'too-fast');
+    }
+
+    try {
+      const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+      const retryAfter = email && await hit(`${form}:email:${email}`, RATE_LIMIT_PER_EMAIL);
+      if (retryAfter) return reject(req, res, form, 'email-rate-limit', retryAfter);
+    } catch (err) {
+      console.error('Rate limiting failed:', err.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Blocked submission counts for the last `days` days, newest first, with
+ * totals per reason.
+ */
+async function getBlockedSubmissionReport(days) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const daily = await BlockedSubmissionStat.find({ day: { $gte: since } }, { _id: 0, __v: 0 })
+    .sort({ day: -1, form: 1, reason: 1 })
+    .lean();
+  const totals = Object.fromEntries(BLOCK_REASONS.map(reason => [reason, 0]));
+  daily.forEach(row => { totals[row.reason] += row.count; });
+  return { since, totals, daily };
+}
+
+module.exports = {
+  BLOCK_REASONS,
+  rateLimitByIp,
+  checkSubmission,
+  getBlockedSubmissionReport,
+};
@@ -0,0 +1,167 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Thrown to stop an export once the client has disconnected
+class ExportAbortedError extends Error {}
+
+function ensureOpen(res) {
+  if (res.destroyed && !res.writableFinished) throw new ExportAbortedError('The client disconnected.');
+}
+
+/**
+ * Waits for `promise`, or until the response closes. A client that disconnects
+ * never drains the response, so waiting on the response alone could hang forever.
+ * Rejects if the response emits 'error' first.
+ */
+async function untilClosed(res, promise) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([promise, once(res, 'close', { signal: controller.signal })]);
+  } finally {
+    controller.abort();
+  }
+  ensureOpen(res);
+}
+
+async function drain(res) {
+  const controller = new AbortController();
+  try {
+    await untilClosed(res, once(res, 'drain', { signal: controller.signal }));
+  } finally {
+    controller.abort();
+  }
+}
+
+// Writes respecting backpressure so large exports never pile up in memory
+async function write(res, chunk) {
+  ensureOpen(res);
+  if (!res.write(chunk)) await drain(res);
+}
+
+async function streamCsv(res, columns, rows) {
+  // The byte order mark makes Excel read the file as UTF-8
+  await write(res, '\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+  for await (const row of rows) {
+    await write(res, columns.map(column => csvCell(column.value(row))).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+async function streamXlsx(res, columns, rows, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({ header: column.header, width: column.width || 20 }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+  for await (const row of rows) {
+    ensureOpen(res);
+    const sheetRow = worksheet.addRow(columns.map(column => {
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    }));
+    sheetRow.eachCell(cell => {
+      if (cell.value instanceof Date) cell.numFmt = 'yyyy-mm-dd hh:mm';
+    });
+    sheetRow.commit();
+    // The workbook writes to the response as rows are committed
+    if (res.writableNeedDrain) await drain(res);
+  }
+  worksheet.commit();
+  await untilClosed(res, workbook.commit());
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and
+ * line breaks) into an array of rows, each an array of cell strings. A byte
+ * order mark and blank lines are ignored.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Streams rows to the response as a CSV or XLSX download, one row at a time,
+ * so exports of large collections never hold the whole result in memory.
+ * If the client disconnects, the export stops and `rows` is closed.
+ *
+ * @param {object} options
+ * @param {string} options.format 'csv' or 'xlsx'
+ * @param {string} options.filename Download name without extension
+ * @param {Array<{header: string, value: function, width?: number}>} options.columns
+ *   `value` maps a row to a cell value (string, number, Date or null)
+ * @param {AsyncIterable} options.rows e.g. a Mongoose query cursor
+ */
+async function sendSpreadsheet(res, { format, filename, columns, rows }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`${filename}-${stamp}.${format}`);
+  res.type(format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv; charset=utf-8');
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(res, columns, rows, filename);
+    } else {
+      await streamCsv(res, columns, rows);
+    }
+  } catch (err) {
+    // Stop the database query behind an export that won't finish
+    if (typeof rows.close === 'function') await rows.close().catch(() => {});
+    if (err instanceof ExportAbortedError) return;
+    console.error(`Export of ${filename} failed:`, err.message);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ success: false, error: err.message });
+    }
+    // Cut the download short so a partial file isn't mistaken for a full one
+    res.destroy(err);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  sendSpreadsheet,
+};
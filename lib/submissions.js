@@ -0,0 +1,84 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+// Form field read (and removed from req.body) by dedupeSubmission
+const SUBMISSION_ID_FIELD = 'submissionId';
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+// How long a submission id is remembered; queued submissions older than this
+// are treated as new
+const SUBMISSION_RECEIPT_TTL_DAYS = 7;
+
+// Schemas
+// One receipt per form submission id. It is claimed while the submission is
+// handled and then holds the response, which is sent again for any retry.
+const SubmissionReceiptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  status: Number,
+  body: mongoose.Schema.Types.Mixed,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+const SubmissionReceipt = mongoose.model('SubmissionReceipt', SubmissionReceiptSchema);
+
+function discardUpload(req) {
+  if (req.file && req.file.path) fs.unlink(req.file.path, () => {});
+}
+
+/**
+ * Express middleware making submissions of `form` idempotent. Pages send a
+ * client-generated `submissionId` with each submission, and send it again
+ * when they retry one that was queued offline. The first request with an id
+ * is handled as usual; a successful response is stored and replayed for any
+ * later request with the same id. Requests without an id are handled as usual.
+ */
+function dedupeSubmission(form) {
+  return async (req, res, next) => {
+    const body = req.body || {};
+    const submissionId = body[SUBMISSION_ID_FIELD];
+    delete body[SUBMISSION_ID_FIELD];
+    if (submissionId === undefined) return next();
+    if (typeof submissionId !== 'string' || !SUBMISSION_ID_PATTERN.test(submissionId)) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'Invalid submission id.' });
+    }
+
+    const key = `${form}:${submissionId}`;
+    try {
+      await SubmissionReceipt.create({
+        key,
+        expiresAt: new Date(Date.now() + SUBMISSION_RECEIPT_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+    } catch (err) {
+      if (err.code !== 11000) {
+        console.error('Submission de-duplication failed:', err.message);
+        return next();
+      }
+      discardUpload(req);
+      const receipt = await SubmissionReceipt.findOne({ key }).lean().catch(() => null);
+      if (receipt && receipt.status) return res.status(receipt.status).json(receipt.body);
+      return res.status(409).json({ success: false, error: 'This submission is already being processed.' });
+    }
+
+    // Keep successful responses for retries; free the id otherwise so a retry is handled afresh
+    let recorded = false;
+    const release = () => SubmissionReceipt.deleteOne({ key });
+    const json = res.json.bind(res);
+    res.json = (responseBody) => {
+      recorded = true;
+      const update = res.statusCode < 300
+        ? SubmissionReceipt.updateOne({ key }, { $set: { status: res.statusCode, body: responseBody } })
+        : release();
+      update.catch(err => console.error('Failed to record submission receipt:', err.message));
+      return json(responseBody);
+    };
+    res.on('close', () => {
+      if (!recorded) release().catch(err => console.error('Failed to release submission id:', err.message));
+    });
+    next();
+  };
+}
+
+module.exports = {
+  dedupeSubmission,
+};
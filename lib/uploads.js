@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+const RESUME_UPLOAD_DIR = path.resolve(process.env.RESUME_UPLOAD_DIR || 'uploads/resumes');
+const RESUME_MAX_SIZE_MB = Number(process.env.RESUME_MAX_SIZE_MB) || 5;
+const JOB_IMPORT_MAX_SIZE_MB = Number(process.env.JOB_IMPORT_MAX_SIZE_MB) || 2;
+const GALLERY_MAX_SIZE_MB = Number(process.env.GALLERY_MAX_SIZE_MB) || 10;
+const GALLERY_MAX_FILES = 10;
+const CLIENT_LOGO_MAX_SIZE_MB = Number(process.env.CLIENT_LOGO_MAX_SIZE_MB) || 2;
+
+// Accepted resume formats, keyed by extension. `signature` is the first bytes
+// of a genuine file of that type; .docx files are zip archives.
+const RESUME_TYPES = {
+  '.pdf': { mimeTypes: ['application/pdf'], signature: Buffer.from('%PDF') },
+  '.doc': { mimeTypes: ['application/msword'], signature: Buffer.from([0xd0, 0xcf, 0x11, 0xe0]) },
+  '.docx': {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  },
+};
+
+fs.mkdirSync(RESUME_UPLOAD_DIR, { recursive: true });
+
+const resumeStorage = multer.diskStorage({
+  destination: RESUME_UPLOAD_DIR,
+  // Never trust the client's file name on disk; keep only a random name and the extension
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+const multerResume = multer({
+  storage: resumeStorage,
+  limits: { fileSize: RESUME_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // Forms send an empty file input as a file without a name
+    if (!file.originalname) return cb(null, false);
+    const type = RESUME_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (!type || !type.mimeTypes.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).single('resume');
+
+function hasExpectedSignature(file) {
+  const { signature } = RESUME_TYPES[path.extname(file.filename)];
+  const header = Buffer.alloc(signature.length);
+  const fd = fs.openSync(file.path, 'r');
+  try {
+    fs.readSync(fd, header, 0, signature.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.equals(signature);
+}
+
+function removeUpload(file) {
+  if (file) fs.unlink(file.path, () => {});
+}
+
+/**
+ * Express middleware accepting an optional `resume` file in a multipart body.
+ * Rejects anything that isn't a PDF/DOC/DOCX within the size limit with a 400
+ * (413 when too large), so route handlers only ever see valid files in req.file.
+ * JSON requests pass straight through.
+ */
+function resumeUpload(req, res, next) {
+  multerResume(req, res, err => {
+    if (err) {
+      removeUpload(req.file);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ success: false, error: `Resume must be ${RESUME_MAX_SIZE_MB} MB or smaller.` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ success: false, error: 'Resume must be a PDF, DOC or DOCX file.' });
+      }
+      return res.status(500).json({ success: false, error: err.message });
+    }
+    if (req.file && !hasExpectedSignature(req.file)) {
+      removeUpload(req.file);
+      return res.status(400).json({ success: false, error: 'Resume must be a PDF, DOC or DOCX file.' });
+    }
+    next();
+  });
+}
+
+// Import files are parsed straight from memory and never stored
+const multerJobImport = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: JOB_IMPORT_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Express middleware accepting a required CSV or JSON `file` for the bulk job
+ * import, kept in memory as req.file.buffer.
+ */
+function jobImportUpload(req, res, next) {
+  multerJobImport(req, res, err => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `Import file must be ${JOB_IMPORT_MAX_SIZE_MB} MB or smaller.` });
+    }
+    if (err instanceof multer.MulterError || (!err && !req.file)) {
+      return res.status(400).json({ success: false, error: 'Please choose a CSV or JSON file.' });
+    }
+    if (err) return res.status(500).json({ success: false, error: err.message });
+    next();
+  });
+}
+
+// Gallery photos are read from memory and only stored once resized (see lib/gallery.js)
+const multerGallery = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: GALLERY_MAX_SIZE_MB * 1024 * 1024, files: GALLERY_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).array('photos');
+
+/**
+ * Express middleware accepting one or more JPEG, PNG or WebP `photos` for
+ * the gallery, kept in memory as req.files[].buffer.
+ */
+function galleryUpload(req, res, next) {
+  multerGallery(req, res, err => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `Each photo must be ${GALLERY_MAX_SIZE_MB} MB or smaller.` });
+    }
+    if (err && err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ success: false, error: `Upload at most ${GALLERY_MAX_FILES} photos at a time.` });
+    }
+    if (err instanceof multer.MulterError || (!err && !(req.files && req.files.length))) {
+      return res.status(400).json({ success: false, error: 'Please choose JPEG, PNG or WebP photos.' });
+    }
+    if (err) return res.status(500).json({ success: false, error: err.message });
+    next();
+  });
+}
+
+// Client logos are likewise only stored once resized (see lib/clientLogos.js)
+const multerClientLogo = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CLIENT_LOGO_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // Forms send an empty file input as a file without a name
+    if (!file.originalname) return cb(null, false);
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).single('logo');
+
+/**
+ * Express middleware accepting an optional JPEG, PNG or WebP `logo` for a
+ * client, kept in memory as req.file.buffer. JSON requests pass straight through.
+ */
+function clientLogoUpload(req, res, next) {
+  multerClientLogo(req, res, err => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `Logo must be ${CLIENT_LOGO_MAX_SIZE_MB} MB or smaller.` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, error: 'Logo must be a JPEG, PNG or WebP image.' });
+    }
+    if (err) return res.status(500).json({ success: false, error: err.message });
+    next();
+  });
+}
+
+/**
+ * Resolves the on-disk path of a stored resume, refusing anything that would
+ * point outside the upload directory.
+ */
+function resumePath(filename) {
+  const filePath = path.resolve(RESUME_UPLOAD_DIR, path.basename(String(filename)));
+  return filePath.startsWith(RESUME_UPLOAD_DIR + path.sep) ? filePath : null;
+}
+
+module.exports = {
+  resumeUpload,
+  resumePath,
+  jobImportUpload,
+  galleryUpload,
+  clientLogoUpload,
+  removeUpload,
+};
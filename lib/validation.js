@@ -0,0 +1,188 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Indian mobile numbers: 10 digits starting 6-9, optionally prefixed with +91, 91 or 0
+const INDIAN_PHONE_PATTERN = /^(?:\+?91|0)?([6-9]\d{9})$/;
+
+/**
+ * Field rules are plain objects:
+ *
+ *   { type: 'string' | 'email' | 'phone' | 'url' | 'number' | 'boolean' | 'date' | 'objectId' | 'enum' | 'list',
+ *     required, minLength, maxLength, min, max, integer, values, maxItems, label }
+ *
+ * Each type normalizes the value it accepts: strings are trimmed and have
+ * runs of whitespace collapsed (except `multiline` ones), emails are
+ * lowercased, phones become +91XXXXXXXXXX, urls get https:// when they
+ * have no scheme, numbers/booleans/dates are parsed
+ * and enum values are matched ignoring case. Lists take an array or a
+ * comma-separated string and become an array of distinct trimmed strings,
+ * each checked against `values` and `maxLength` when given.
+ * Empty values are treated as missing.
+ */
+const normalizers = {
+  string(value, rule) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be text' };
+    let text = String(value).trim();
+    if (!rule.multiline) text = text.replace(/\s+/g, ' ');
+    if (rule.minLength && text.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+    if (rule.maxLength && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+    return { value: text };
+  },
+  email(value) {
+    const email = String(value).trim().toLowerCase();
+    if (email.length > 254 || !EMAIL_PATTERN.test(email)) return { error: 'must be a valid email address' };
+    return { value: email };
+  },
+  phone(value) {
+    const match = String(value).replace(/[\s\-().]/g, '').match(INDIAN_PHONE_PATTERN);
+    if (!match) return { error: 'must be a valid 10-digit Indian mobile number' };
+    return { value: `+91${match[1]}` };
+  },
+  url(value, rule) {
+    let text = String(value).trim();
+    if (!/^[a-z][a-z\d+.-]*:/i.test(text)) text = `https://${text}`;
+    let url;
+    try {
+      url = new URL(text);
+    } catch (err) {
+      return { error: 'must be a valid web address' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+      return { error: 'must be a valid web address' };
+    }
+    if (rule.maxLength && url.href.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+    return { value: url.href };
+  },
+  number(value, rule) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) return { error: 'must be a number' };
+    if (rule.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  },
+  date(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+    return { value: date };
+  },
+  objectId(value) {
+    if (!mongoose.isValidObjectId(value)) return { error: 'is not valid' };
+    return { value: String(value) };
+  },
+  enum(value, rule) {
+    const text = String(value).trim().toLowerCase();
+    const match = rule.values.find(option => option.toLowerCase() === text);
+    if (!match) return { error: 'is not one of the allowed options' };
+    return { value: match };
+  },
+  list(value, rule) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const list = [];
+    for (const item of items) {
+      if (typeof item !== 'string' && typeof item !== 'number') return { error: 'must be a list of text' };
+      let text = String(item).trim().replace(/\s+/g, ' ');
+      if (!text) continue;
+      if (rule.values) {
+        text = rule.values.find(option => option.toLowerCase() === text.toLowerCase());
+        if (!text) return { error: `has "${String(item).trim()}", which is not one of the allowed options` };
+      }
+      if (rule.maxLength && text.length > rule.maxLength) return { error: `entries must be at most ${rule.maxLength} characters` };
+      if (!list.some(existing => existing.toLowerCase() === text.toLowerCase())) list.push(text);
+    }
+    if (rule.maxItems && list.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} entries` };
+    return { value: list };
+  },
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function labelFor(field, rule) {
+  if (rule.label) return rule.label;
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Validates and normalizes `body` against a map of field rules.
+ * Fields not in the map are reported as errors rather than silently dropped.
+ * With `partial`, required fields may be left out and optional fields sent
+ * empty come back as null so an update clears them.
+ *
+ * @returns {{ values: object, errors: object|null }} errors maps field name to message
+ */
+function validate(schema, body, { partial = false } = {}) {
+  const values = {};
+  const errors = {};
+  const input = body && typeof body === 'object' ? body : {};
+
+  Object.keys(input).forEach(field => {
+    if (!schema[field]) errors[field] = 'Unknown field.';
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (isEmpty(raw)) {
+      if (rule.required && !(partial && raw === undefined)) errors[field] = `${labelFor(field, rule)} is required.`;
+      else if (partial && raw !== undefined) values[field] = null;
+      return;
+    }
+    const result = normalizers[rule.type](raw, rule);
+    if (result.error) {
+      errors[field] = `${labelFor(field, rule)} ${result.error}.`;
+    } else {
+      values[field] = result.value;
+    }
+  });
+
+  return { values, errors: Object.keys(errors).length ? errors : null };
+}
+
+function sendValidationErrors(res, errors) {
+  res.status(400).json({ success: false, error: 'Please correct the highlighted fields.', errors });
+}
+
+/**
+ * Express middleware that validates req.body against `schema`, replacing it
+ * with the normalized values. Responds 400 with a per-field error map on
+ * failure, discarding any file multer already stored for the request.
+ */
+function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { values, errors } = validate(schema, req.body, options);
+    if (errors) {
+      if (req.file && req.file.path) fs.unlink(req.file.path, () => {});
+      return sendValidationErrors(res, errors);
+    }
+    req.body = values;
+    next();
+  };
+}
+
+/**
+ * Turns a Mongoose ValidationError into the same per-field error map, so
+ * schema-level failures look like validateBody failures to the client.
+ */
+function mongooseValidationErrors(err) {
+  const errors = {};
+  Object.entries(err.errors || {}).forEach(([field, fieldError]) => {
+    errors[field] = fieldError.kind === 'required' ? `${labelFor(field, {})} is required.` : fieldError.message;
+  });
+  return errors;
+}
+
+module.exports = {
+  labelFor,
+  validate,
+  validateBody,
+  sendValidationErrors,
+  mongooseValidationErrors,
+};
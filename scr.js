@@ -3,21 +3,24 @@
  *
  * This file contains the main JavaScript functionalities for the Muster Consultants website.
  * It handles:
- * 1. Mobile navigation toggle (hamburger menu).
+ * 1. The <site-header> and <site-footer> elements every page shares: navigation
+ *    (with the current page highlighted), mobile menu and footer, rendered from one config.
  * 2. Global message display system.
- * 3. Highlighting the active link in the navigation bar.
+ * 3. Offline queuing of form submissions and the newsletter signup in the footer.
  * 4. Form submissions for Callback, Contact, Need Help pages, and now Partnerships.
- * 5. Job search functionality for the Job Seeker page (client-side simulation).
- * 6. Admin Panel functionalities:
- * - Simple password-based login.
- * - CRUD operations (Create, Read, Update, Delete) for job listings, simulated using localStorage.
+ *    All requests to the backend go through the API client (fetchJson).
+ * 5. Job search for the Job Seeker page, backed by /api/jobs/search, with the search kept in the URL.
+ * 6. The photo gallery on the Gallery page, loaded from /api/gallery, with a lightbox.
+ * 7. The client logo slider on the home page and the clients grid on the
+ *    Industries Served page, loaded from /api/clients.
+ * 8. Admin Panel functionalities:
+ * - Login against the server, which issues a session token checked on every admin request.
+ * - CRUD operations (Create, Read, Update, Delete) for job listings via the /api/jobs backend.
+ * - One-time import of job listings saved in localStorage by older versions of the panel.
+ * - Applicant tracking board for moving job applications through the recruitment pipeline.
+ * - Photo gallery albums: uploading, captioning, ordering and publishing photos.
+ * - Clients: adding, editing, ordering and hiding clients and their logos.
  * - Logout.
- *
- * NOTE: For a production environment, all form submissions and admin panel data
- * management (job listings) should be handled via a secure backend server and a
- * robust database (e.g., Firestore, as mentioned in guidelines, or a custom API).
- * The current implementation uses localStorage purely for front-end demonstration
- * purposes and is NOT secure or scalable for real-world data persistence.
  */
 
 // --- Global Utility Functions ---
@@ -25,12 +28,17 @@
 /**
  * Displays a global message box at the top of the screen.
  * @param {string} message - The message to display.
- * @param {string} type - 'success' or 'error' to determine background color.
+ * @param {string} type - 'success', 'error' or 'info' to determine background color.
  * @param {number} duration - How long the message should be visible in milliseconds.
  */
 function showGlobalMessage(message, type = 'success', duration = 3000) {
-    const messageBox = document.getElementById('globalMessageBox');
-    if (!messageBox) return;
+    let messageBox = document.getElementById('globalMessageBox');
+    // Not every page has the box in its markup
+    if (!messageBox) {
+        messageBox = document.createElement('div');
+        messageBox.id = 'globalMessageBox';
+        document.body.appendChild(messageBox);
+    }
 
     messageBox.textContent = message;
     messageBox.className = 'global-message-box'; // Reset classes
@@ -38,6 +46,8 @@ function showGlobalMessage(message, type = 'success', duration = 3000) {
 
     if (type === 'error') {
         messageBox.style.backgroundColor = '#DC3545'; // Bootstrap Danger Red
+    } else if (type === 'info') {
+        messageBox.style.backgroundColor = '#2563EB'; // Blue-600
     } else {
         messageBox.style.backgroundColor = '#28A745'; // Bootstrap Success Green
     }
@@ -56,248 +66,536 @@ function showGlobalMessage(message, type = 'success', duration = 3000) {
     }, duration);
 }
 
-// --- Enhanced Mobile Navigation Functionality ---
+// --- API Client ---
+// Every request to the backend goes through apiFetch, or fetchJson for JSON
+// responses, so they all get the same timeout, retries and error handling.
+
+const PRODUCTION_API_BASE_URL = 'https://musterd-website.vercel.app/api';
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const API_TIMEOUT_MS = 15000;
+const API_MAX_RETRIES = 2;
+const API_RETRY_DELAY_MS = 500;
+// Longest Retry-After the client will wait for before retrying
+const API_MAX_RETRY_DELAY_MS = 10000;
+// Only these methods are retried, as sending them twice has the same effect as once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+// Responses that mean the server may well answer if asked again shortly
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Works out which API the page talks to: the URL in a
+ * `<meta name="api-base-url">` tag if the page has one (for staging builds),
+ * the API on the page's own origin when the site is served locally by
+ * server.js, and the production API otherwise.
+ * @returns {string} The API base URL, without a trailing slash.
+ */
+function resolveApiBaseUrl() {
+    const meta = document.querySelector('meta[name="api-base-url"]');
+    if (meta && meta.content) return new URL(meta.content, location.href).href.replace(/\/$/, '');
+    if (LOCAL_HOSTNAMES.includes(location.hostname)) return `${location.origin}/api`;
+    return PRODUCTION_API_BASE_URL;
+}
+
+const API_BASE_URL = resolveApiBaseUrl();
+const JOBS_API_URL = `${API_BASE_URL}/jobs`;
+
+/**
+ * Resolves a path the API returned for a file it serves, such as a gallery
+ * photo, against the API's origin, which need not be the page's.
+ * @param {string} path - E.g. '/media/gallery/photo.jpg'.
+ * @returns {string} The file's absolute URL.
+ */
+function apiAssetUrl(path) {
+    return new URL(path, API_BASE_URL).href;
+}
+
+// Industries a job can be filed under; matches the sectors on industries_served.html
+const JOB_INDUSTRIES = [
+    'Banking and Finance',
+    'Telecommunication',
+    'Software & Hardware',
+    'Chemicals and Pharma',
+    'Call Centre/BPO/IT',
+    'Garments and FMCG',
+    'Office Administration',
+    'Electronics & Electricals',
+    'Food',
+    'Logistics',
+    'Construction',
+    'Petrochemical',
+    'Power Plant',
+    'Hospitality',
+    'Automotive',
+    'Advertising'
+];
+
+/**
+ * Resolves after `ms` milliseconds.
+ * @param {number} ms - How long to wait.
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 /**
- * Handles the mobile navigation toggle (hamburger menu) with enhanced features.
+ * How long to wait before retrying a request: the server's Retry-After when
+ * it sent one, otherwise an exponentially growing delay with some jitter.
+ * @param {Response|undefined} response - The response, if the request got one.
+ * @param {number} attempt - How many times the request has been sent, less one.
+ * @returns {number} The delay in milliseconds.
  */
-function setupMobileNavToggle() {
-    const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
-    const mobileMenu = document.getElementById('mobile-menu');
-    const mobileMenuOverlay = document.getElementById('mobile-menu-overlay');
-    const mobileMenuClose = document.getElementById('mobile-menu-close');
-    const mobileServicesToggle = document.getElementById('mobile-services-toggle');
-    const mobileServicesDropdown = document.getElementById('mobile-services-dropdown');
-    const mobileServicesCaret = document.getElementById('mobile-services-caret');
+function apiRetryDelay(response, attempt) {
+    const retryAfter = response && Number(response.headers.get('Retry-After'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, API_MAX_RETRY_DELAY_MS);
+    return API_RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() / 2);
+}
 
-    function openMobileMenu() {
-        if (mobileMenu && mobileMenuOverlay) {
-            mobileMenu.classList.remove('-translate-x-full');
-            mobileMenuOverlay.classList.remove('hidden');
-            mobileMenuOverlay.classList.add('active');
-            document.body.style.overflow = 'hidden';
-            
-            // Add focus trap for accessibility
-            const firstFocusableElement = mobileMenu.querySelector('a, button');
-            if (firstFocusableElement) {
-                firstFocusableElement.focus();
+/**
+ * Sends a request to the backend with a timeout. Idempotent requests that
+ * fail for lack of a connection, time out or get a retryable status are sent
+ * again, up to API_MAX_RETRIES times.
+ * @param {string} url - The endpoint URL.
+ * @param {object} options - Options passed through to fetch(), plus `timeout`
+ *   (milliseconds) and `retries` (overrides the default for the method).
+ * @returns {Promise<Response>} The last response received.
+ * @throws {Error} When no response was received; `timedOut` is set if the request timed out.
+ */
+async function apiFetch(url, { timeout = API_TIMEOUT_MS, retries, ...options } = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const maxRetries = retries !== undefined ? retries : (IDEMPOTENT_METHODS.includes(method) ? API_MAX_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (attempt >= maxRetries) {
+                if (!controller.signal.aborted) throw error;
+                const timeoutError = new Error('The server took too long to respond. Please try again.');
+                timeoutError.timedOut = true;
+                throw timeoutError;
             }
+        } finally {
+            clearTimeout(timer);
         }
+        if (response && (attempt >= maxRetries || !RETRYABLE_STATUSES.includes(response.status))) return response;
+        await wait(apiRetryDelay(response, attempt));
     }
+}
 
-    function closeMobileMenu() {
-        if (mobileMenu && mobileMenuOverlay) {
-            mobileMenu.classList.add('-translate-x-full');
-            mobileMenuOverlay.classList.add('hidden');
-            mobileMenuOverlay.classList.remove('active');
-            document.body.style.overflow = '';
-            
-            // Return focus to menu toggle button
-            if (mobileMenuToggle) mobileMenuToggle.focus();
-        }
+/**
+ * Sends a JSON request to the backend and parses the JSON response.
+ * @param {string} url - The endpoint URL.
+ * @param {object} options - Options passed through to apiFetch().
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {Error} With the server's error message, HTTP `status` and any per-field `errors` when the response is not ok.
+ */
+async function fetchJson(url, options = {}) {
+    // Let the browser set the multipart boundary for FormData bodies
+    const isFormData = options.body instanceof FormData;
+    const response = await apiFetch(url, {
+        ...options,
+        headers: { ...(isFormData ? {} : { 'Content-Type': 'application/json' }), ...(options.headers || {}) }
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.errors = result.errors || null;
+        throw error;
     }
+    return result;
+}
 
-    // Event listeners for mobile menu
-    if (mobileMenuToggle) mobileMenuToggle.addEventListener('click', openMobileMenu);
-    if (mobileMenuClose) mobileMenuClose.addEventListener('click', closeMobileMenu);
-    if (mobileMenuOverlay) mobileMenuOverlay.addEventListener('click', closeMobileMenu);
+/**
+ * The message to show for a failed API request: the server's own message when
+ * it refused the request, and `fallbackMessage` for server faults and network
+ * errors, whose details mean nothing to the user.
+ * @param {Error} error - An error thrown by fetchJson.
+ * @param {string} fallbackMessage - Shown when the server's message isn't.
+ * @returns {string} The message.
+ */
+function apiErrorMessage(error, fallbackMessage) {
+    if (error.timedOut) return error.message;
+    return error.status && error.status < 500 ? error.message : fallbackMessage;
+}
 
-    // Enhanced SERVICES dropdown in mobile menu
-    if (mobileServicesToggle && mobileServicesDropdown && mobileServicesCaret) {
-        mobileServicesToggle.addEventListener('click', function() {
-            const isOpen = mobileServicesDropdown.classList.contains('open');
-            if (isOpen) {
-                mobileServicesDropdown.classList.remove('open');
-                mobileServicesCaret.classList.remove('rotate-180');
-            } else {
-                mobileServicesDropdown.classList.add('open');
-                mobileServicesCaret.classList.add('rotate-180');
-            }
-        });
-    }
+/**
+ * Shows a failed API request's error with showGlobalMessage.
+ * @param {Error} error - An error thrown by fetchJson.
+ * @param {string} [fallbackMessage] - Shown for server faults and network errors.
+ */
+function showApiError(error, fallbackMessage = 'Something went wrong. Please try again.') {
+    showGlobalMessage(apiErrorMessage(error, fallbackMessage), 'error', 5000);
+}
 
-    // Close mobile menu when clicking on a link
-    if (mobileMenu) {
-        mobileMenu.querySelectorAll('a').forEach(link => {
-            link.addEventListener('click', closeMobileMenu);
-        });
+// --- Field Errors ---
+
+/**
+ * Shows an error message under a form control and marks it invalid.
+ * The message goes after the control's `[data-field-group]` wrapper when it has one.
+ * @param {HTMLElement} input - The form control.
+ * @param {string} message - The error message.
+ */
+function showFieldError(input, message) {
+    const anchor = input.closest('[data-field-group]') || input;
+    let errorElement = anchor.nextElementSibling;
+    if (!errorElement || !errorElement.classList.contains('field-error')) {
+        errorElement = document.createElement('p');
+        errorElement.className = 'field-error';
+        errorElement.id = `${input.id || input.name}-error`;
+        anchor.insertAdjacentElement('afterend', errorElement);
     }
+    errorElement.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorElement.id);
+}
 
-    // Keyboard navigation support
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape' && mobileMenu && !mobileMenu.classList.contains('-translate-x-full')) {
-            closeMobileMenu();
-        }
+/**
+ * Removes all field error messages from a form.
+ * @param {HTMLFormElement} form - The form to clear.
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(element => element.remove());
+    form.querySelectorAll('[aria-invalid]').forEach(input => {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
     });
+}
 
-    // Touch gesture support for mobile menu
-    let touchStartX = 0;
-    let touchEndX = 0;
+/**
+ * Shows a server's per-field error map next to the matching form controls
+ * (matched on `name`) and focuses the first one.
+ * @param {HTMLFormElement} form - The submitted form.
+ * @param {object} errors - Field name to message map from the API.
+ * @returns {boolean} Whether any error could be placed next to a control.
+ */
+function showFieldErrors(form, errors) {
+    clearFieldErrors(form);
+    const inputs = Object.keys(errors || {})
+        .map(field => {
+            const input = form.querySelector(`[name="${field}"]`);
+            if (input) showFieldError(input, errors[field]);
+            return input;
+        })
+        .filter(Boolean);
+    if (inputs.length > 0) inputs[0].focus();
+    return inputs.length > 0;
+}
 
-    document.addEventListener('touchstart', e => {
-        touchStartX = e.changedTouches[0].screenX;
-    });
+/**
+ * Escapes a value for safe insertion into HTML markup.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    document.addEventListener('touchend', e => {
-        touchEndX = e.changedTouches[0].screenX;
-        handleSwipe();
+/**
+ * Adds an option for each of JOB_INDUSTRIES to every select marked with
+ * the data-industry-options attribute.
+ */
+function populateIndustrySelects() {
+    document.querySelectorAll('select[data-industry-options]').forEach(select => {
+        JOB_INDUSTRIES.forEach(industry => {
+            select.add(new Option(industry, industry));
+        });
     });
+}
 
-    function handleSwipe() {
-        const swipeThreshold = 50;
-        const swipeDistance = touchEndX - touchStartX;
-        
-        // Swipe right to open menu (only if menu is closed and swipe starts from left edge)
-        if (swipeDistance > swipeThreshold && touchStartX < 50 && mobileMenu && mobileMenu.classList.contains('-translate-x-full')) {
-            openMobileMenu();
-        }
-        
-        // Swipe left to close menu (only if menu is open)
-        if (swipeDistance < -swipeThreshold && mobileMenu && !mobileMenu.classList.contains('-translate-x-full')) {
-            closeMobileMenu();
-        }
-    }
+// --- Offline Submission Queue ---
+// Queue storage and sending live in submission-queue.js, shared with sw.js.
 
-    // Enhanced responsive behavior
-    function handleResize() {
-        const width = window.innerWidth;
-        
-        // Adjust mobile menu width based on screen size
-        if (mobileMenu) {
-            if (width < 480) {
-                mobileMenu.style.width = '100%';
-                mobileMenu.style.maxWidth = '100%';
-            } else {
-                mobileMenu.style.width = '320px';
-                mobileMenu.style.maxWidth = '320px';
-            }
-        }
+/**
+ * Asks the service worker to send the queued submissions through Background
+ * Sync once the browser is back online.
+ * @returns {Promise<boolean>} Whether Background Sync will send them.
+ */
+async function scheduleSubmissionSync() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return false;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.sync) return false;
+        await registration.sync.register(SUBMISSION_SYNC_TAG);
+        return true;
+    } catch (err) {
+        return false;
     }
+}
 
-    // Initial call and event listener
-    handleResize();
-    window.addEventListener('resize', handleResize);
-
-    // Legacy support for old hamburger menu
-    const hamburger = document.querySelector('.hamburger');
-    const navLinks = document.querySelector('.nav-links ul');
-    const dropdownArrows = document.querySelectorAll('.dropdown .arrow-down');
-
-    if (hamburger && navLinks) {
-        hamburger.addEventListener('click', () => {
-            navLinks.classList.toggle('active');
-            hamburger.classList.toggle('active');
-        });
+/**
+ * Posts a form submission to the API. When it fails because there is no
+ * connection, it is queued in IndexedDB and sent again later, and the user is
+ * told so. Each submission gets a `submissionId`, so the server saves it only
+ * once however often it is retried.
+ * @param {string} url - The endpoint URL.
+ * @param {object|FormData} data - The form fields.
+ * @param {string} label - What is being submitted, for messages, e.g. 'message' or 'application'.
+ * @returns {Promise<object>} The parsed response body, or `{ queued: true }` when the submission was queued.
+ * @throws {Error} As fetchJson does when the server refuses the submission, or the original error when it can't be queued.
+ */
+async function submitForm(url, data, label) {
+    const id = createSubmissionId();
+    const body = data instanceof FormData ? data : { ...data, submissionId: id };
+    if (body instanceof FormData) body.set('submissionId', id);
 
-        // Close nav when a link is clicked
-        navLinks.querySelectorAll('a:not(.dropdown > a)').forEach(link => {
-            link.addEventListener('click', () => {
-                if (navLinks.classList.contains('active')) {
-                    navLinks.classList.remove('active');
-                    hamburger.classList.remove('active');
-                }
-            });
+    try {
+        return await fetchJson(url, {
+            method: 'POST',
+            body: body instanceof FormData ? body : JSON.stringify(body)
         });
+    } catch (error) {
+        // fetch only throws without a status when the request never reached the server
+        if (error.status || !('indexedDB' in window)) throw error;
+        try {
+            await queueSubmission({ id, url, label, body });
+        } catch (queueError) {
+            console.error('Could not queue submission:', queueError);
+            throw error;
+        }
+        if (!(await scheduleSubmissionSync())) window.addEventListener('online', sendQueuedSubmissions, { once: true });
+        showGlobalMessage(`You seem to be offline. Your ${label} has been saved and will be sent when you're back online.`, 'info', 6000);
+        return { queued: true };
+    }
+}
 
-        // Toggle dropdowns on click in mobile
-        dropdownArrows.forEach(arrow => {
-            arrow.parentElement.addEventListener('click', (e) => {
-                if (!e.target.closest('.dropdown-content')) {
-                    e.preventDefault();
-                    const dropdownContent = arrow.parentElement.nextElementSibling;
-                    if (dropdownContent && dropdownContent.classList.contains('dropdown-content')) {
-                        dropdownContent.classList.toggle('show-mobile');
-                        arrow.classList.toggle('rotate');
-                    }
-                }
-            });
-        });
+/**
+ * Tells the user how sending their queued submissions went.
+ * @param {string[]} sent - Labels of the submissions sent.
+ * @param {Array<{label: string, error: string}>} rejected - Submissions the server refused.
+ */
+function reportQueuedSubmissions(sent, rejected) {
+    if (rejected.length > 0) {
+        showGlobalMessage(`Your saved ${rejected[0].label} could not be sent: ${rejected[0].error}`, 'error', 8000);
+    } else if (sent.length > 0) {
+        const what = sent.length === 1 ? `Your saved ${sent[0]} has` : `Your ${sent.length} saved submissions have`;
+        showGlobalMessage(`${what} now been sent.`, 'success', 5000);
     }
 }
 
 /**
- * Highlights the active navigation link based on the current page URL.
+ * Sends the queued submissions from the page, for browsers without
+ * Background Sync.
  */
-function highlightActiveNav() {
-    const currentPath = window.location.pathname.split('/').pop();
-    const navLinks = document.querySelectorAll('.nav-links ul li a');
+async function sendQueuedSubmissions() {
+    try {
+        const { sent, rejected, remaining } = await flushSubmissionQueue();
+        reportQueuedSubmissions(sent.map(submission => submission.label), rejected);
+        if (remaining > 0) window.addEventListener('online', sendQueuedSubmissions, { once: true });
+    } catch (err) {
+        console.error('Could not send queued submissions:', err);
+    }
+}
 
-    navLinks.forEach(link => {
-        // Handle dropdown links by checking if their parent is a dropdown
-        if (link.closest('.dropdown-content')) {
-            // For dropdown items, match their href exactly
-            if (link.getAttribute('href') === currentPath) {
-                link.classList.add('active');
-                // Also add active to the parent dropdown link if a sub-link is active
-                link.closest('.dropdown').querySelector('a').classList.add('active');
+/**
+ * Reports submissions the service worker sent in the background and, where
+ * Background Sync isn't available, sends anything left over from an earlier visit.
+ */
+async function setupSubmissionQueue() {
+    if (!('indexedDB' in window) || typeof flushSubmissionQueue !== 'function') return;
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'submissions-sent') {
+                reportQueuedSubmissions(event.data.sent, event.data.rejected);
             }
+        });
+    }
+    const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration().catch(() => null);
+    if (!registration || !registration.sync) sendQueuedSubmissions();
+}
+
+// --- Form Submission Handlers ---
+
+/**
+ * Subscribes the email address entered in the footer to the newsletter,
+ * showing any problem with it under the input.
+ * @param {HTMLElement} footer - The rendered <site-footer>.
+ */
+function setupFooterSubscribe(footer) {
+    const input = footer.querySelector('.footer-subscribe-input');
+    const button = footer.querySelector('.footer-subscribe-button');
+    const success = footer.querySelector('#subscribe-success');
+    const errorElement = footer.querySelector('#subscribe-error');
+    const honeypot = footer.querySelector('#subscribe-website');
+    if (!input || !button || !success || !errorElement) return;
+    // Sent with the form so the server can tell it was not filled in by a bot
+    const formStartedAt = Date.now();
+
+    const showError = (message) => {
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
         } else {
-            // For top-level links, match the href or check if it's the home page
-            if (link.getAttribute('href') === currentPath || (currentPath === '' && link.getAttribute('href') === 'home.html')) {
-                link.classList.add('active');
-            } else {
-                link.classList.remove('active'); // Ensure other links are not active
+            input.removeAttribute('aria-invalid');
+        }
+    };
+
+    input.setAttribute('aria-describedby', 'subscribe-error');
+    button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const email = input.value.trim();
+        success.classList.add('hidden');
+        if (!email) {
+            showError('Please enter your email address.');
+            return;
+        }
+        showError('');
+        button.disabled = true;
+        try {
+            const data = { email, website: honeypot ? honeypot.value : '', formStartedAt };
+            const result = await submitForm(`${API_BASE_URL}/subscribe`, data, 'subscription');
+            input.value = '';
+            if (!result.queued) {
+                if (result.message) success.textContent = result.message;
+                success.classList.remove('hidden');
             }
+        } catch (err) {
+            showError((err.errors && err.errors.email) || apiErrorMessage(err, 'Could not subscribe. Please try again.'));
+        } finally {
+            button.disabled = false;
         }
     });
-
-    // Special handling for the "Request a Callback" button in nav-cta
-    const navCtaBtn = document.querySelector('.nav-cta .btn');
-    if (navCtaBtn && navCtaBtn.getAttribute('href') === currentPath) {
-        navCtaBtn.classList.add('active');
-    }
 }
 
-
-// --- Form Submission Handlers ---
-
 /**
- * Handles generic form submission.
+ * Sends a form's fields to the API when it is submitted, queuing them if the
+ * user is offline. The endpoint can be overridden per form with a
+ * `data-endpoint` attribute. Field errors from the server are shown under
+ * their controls; other errors as a message.
  * @param {HTMLFormElement} form - The form element.
- * @param {string} successMessage - Message to show on successful submission.
- * @param {string} errorMessage - Message to show on error.
- * @param {function} callback - Optional callback function to run on success.
+ * @param {object} options - How to submit the form.
+ * @param {string} options.endpoint - The URL the form is posted to.
+ * @param {string} options.label - What is being submitted, for offline messages, e.g. 'request'.
+ * @param {string} [options.successMessage] - Message to show on successful submission; left out when onSuccess shows its own.
+ * @param {string} options.errorMessage - Message to show when the submission fails.
+ * @param {function} [options.onSuccess] - Called with the server's response on success.
  */
-function handleFormSubmission(form, successMessage, errorMessage, callback = null) {
+function handleFormSubmission(form, { endpoint, label, successMessage, errorMessage, onSuccess = null }) {
     if (!form) return;
+    // Sent with the form so the server can tell it was not filled in by a bot
+    const formStartedAt = Date.now();
 
     form.addEventListener('submit', async (event) => {
         event.preventDefault(); // Prevent default form submission
 
         const submitButton = form.querySelector('button[type="submit"]');
-        const originalButtonText = submitButton.textContent;
+        const originalButtonHtml = submitButton.innerHTML;
         submitButton.disabled = true;
         submitButton.textContent = 'Submitting...';
+        clearFieldErrors(form);
 
-        // Simulate API call delay
         try {
-            await new Promise(resolve => setTimeout(resolve, 1500));
-
-            // In a real application, you would send data to a backend here.
-            // Example: const response = await fetch('/api/submit', { method: 'POST', body: new FormData(form) });
-            // const result = await response.json();
-
-            // For now, simulate success
-            showGlobalMessage(successMessage, 'success');
+            const data = { ...Object.fromEntries(new FormData(form)), formStartedAt };
+            const result = await submitForm(form.dataset.endpoint || endpoint, data, label);
             form.reset(); // Clear form fields
-            if (callback) callback(); // Run optional callback
+            if (result.queued) return;
+            if (successMessage) {
+                const reference = result.referenceNumber ? ` Your reference number is ${result.referenceNumber}.` : '';
+                showGlobalMessage(successMessage + reference, 'success', reference ? 8000 : undefined);
+            }
+            if (onSuccess) onSuccess(result);
         } catch (error) {
             console.error('Form submission error:', error);
-            showGlobalMessage(errorMessage, 'error');
+            if (!error.errors || !showFieldErrors(form, error.errors)) showApiError(error, errorMessage);
         } finally {
             submitButton.disabled = false;
-            submitButton.textContent = originalButtonText;
+            submitButton.innerHTML = originalButtonHtml;
         }
     });
 }
 
 // --- Admin Panel Specific Functionality ---
 
-const ADMIN_PASSWORD = 'admin'; // VERY INSECURE: Hardcoded password for demonstration!
+const ADMIN_TOKEN_KEY = 'musterAdminToken';
 const LOCAL_STORAGE_JOBS_KEY = 'musterConsultantsJobs';
+const AUTH_API_URL = `${API_BASE_URL}/auth`;
+
+/**
+ * Returns the admin session token issued by the server at login, if any.
+ * @returns {string|null} The session token.
+ */
+function getAdminToken() {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY);
+}
+
+/**
+ * Like fetchJson, but authenticates the request with the admin session token.
+ * If the server rejects the session, the token is dropped and the login form shown.
+ * @param {string} url - The endpoint URL.
+ * @param {object} options - Options passed through to fetchJson().
+ * @returns {Promise<object>} The parsed response body.
+ */
+async function adminFetchJson(url, options = {}) {
+    const token = getAdminToken();
+    try {
+        return await fetchJson(url, {
+            ...options,
+            headers: { ...(options.headers || {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+        });
+    } catch (error) {
+        if (error.status === 401) {
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+            showAdminSection(false);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Downloads a file from an admin-only endpoint. The request needs the admin
+ * session, so the file is fetched here rather than linked to directly.
+ * @param {string} url - The file URL.
+ * @param {string} [fallbackName] - Used when the response doesn't name the file.
+ */
+async function downloadAdminFile(url, fallbackName = 'download') {
+    const response = await apiFetch(url, {
+        headers: { Authorization: `Bearer ${getAdminToken()}` }
+    });
+    if (response.status === 401) {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        showAdminSection(false);
+    }
+    if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+}
+
+/**
+ * Collects the filled-in fields of a filter form as query parameters.
+ * @param {HTMLFormElement} form - The filter form.
+ * @returns {URLSearchParams} The non-empty form values.
+ */
+function getFilterParams(form) {
+    const params = new URLSearchParams();
+    if (!form) return params;
+    new FormData(form).forEach((value, key) => {
+        if (value) params.set(key, value);
+    });
+    return params;
+}
 
 /**
- * Simulates fetching job listings from localStorage.
+ * Reads job listings left in localStorage by older versions of the admin panel.
+ * Jobs now live on the server; this is only used to import them once.
  * @returns {Array} An array of job listing objects.
  */
 function getJobsFromLocalStorage() {
@@ -311,26 +609,70 @@ function getJobsFromLocalStorage() {
 }
 
 /**
- * Simulates saving job listings to localStorage.
- * @param {Array} jobs - An array of job listing objects.
+ * Sends any job listings still stored in localStorage to the server and
+ * removes the imported ones locally so the import only happens once. Jobs the
+ * server rejects as invalid are written back to localStorage, so they are
+ * never lost, and the admin is told how many were kept.
  */
-function saveJobsToLocalStorage(jobs) {
+async function importLegacyJobs() {
+    const legacyJobs = getJobsFromLocalStorage();
+    if (legacyJobs.length === 0) return;
+
     try {
-        localStorage.setItem(LOCAL_STORAGE_JOBS_KEY, JSON.stringify(jobs));
+        const result = await adminFetchJson(`${JOBS_API_URL}/import`, {
+            method: 'POST',
+            body: JSON.stringify({ jobs: legacyJobs })
+        });
+        const rejectedIndexes = new Set((result.rejected || []).map(job => job.index));
+        const keptJobs = legacyJobs.filter((job, index) => rejectedIndexes.has(index));
+        if (keptJobs.length > 0) {
+            localStorage.setItem(LOCAL_STORAGE_JOBS_KEY, JSON.stringify(keptJobs));
+            showGlobalMessage(`${result.message} ${keptJobs.length} locally saved job listing(s) are missing required details and were kept in this browser.`, 'error', 8000);
+        } else {
+            localStorage.removeItem(LOCAL_STORAGE_JOBS_KEY);
+            if (result.imported > 0) showGlobalMessage(result.message, 'success');
+        }
     } catch (e) {
-        console.error("Error saving jobs to localStorage:", e);
-        showGlobalMessage("Failed to save data. Storage might be full.", "error");
+        console.error("Error importing jobs from localStorage:", e);
+        showGlobalMessage('Could not import locally saved jobs. They will be retried next time.', 'error');
     }
 }
 
+const JOB_STATUS_LABELS = {
+    draft: 'Draft',
+    published: 'Published',
+    closed: 'Closed'
+};
+
+let adminJobs = new Map(); // Jobs shown in the admin list, by id
+
+/**
+ * Fetches every job listing from the server, drafts and closed jobs included.
+ * @returns {Promise<Array>} An array of job listing objects.
+ */
+async function fetchJobs() {
+    const result = await adminFetchJson(`${JOBS_API_URL}?status=all`);
+    return result.jobs;
+}
+
 /**
  * Renders job listings in the admin panel.
  */
-function renderAdminJobListings() {
+async function renderAdminJobListings() {
     const jobListingsContainer = document.getElementById('adminJobListings');
     if (!jobListingsContainer) return;
 
-    const jobs = getJobsFromLocalStorage();
+    let jobs;
+    try {
+        jobs = await fetchJobs();
+    } catch (e) {
+        console.error("Error loading jobs:", e);
+        jobListingsContainer.innerHTML = '<p class="text-center py-4">Could not load job listings. Please refresh the page.</p>';
+        return;
+    }
+
+    adminJobs = new Map(jobs.map(job => [job.id, job]));
+    populateApplicationJobFilter(jobs);
 
     if (jobs.length === 0) {
         jobListingsContainer.innerHTML = '<p class="text-center py-4">No job listings found. Add a new job above!</p>';
@@ -340,10 +682,12 @@ function renderAdminJobListings() {
     jobListingsContainer.innerHTML = `
         <ul class="admin-list">
             ${jobs.map(job => `
-                <li data-job-id="${job.id}">
+                <li data-job-id="${escapeHtml(job.id)}">
                     <div>
-                        <strong>${job.title}</strong><br>
-                        <span>${job.company} - ${job.location}</span>
+                        <strong>${escapeHtml(job.title)}</strong>
+                        <span class="job-status ${escapeHtml(job.status)}">${escapeHtml(JOB_STATUS_LABELS[job.status] || job.status)}</span><br>
+                        <span>${escapeHtml(job.company)} - ${escapeHtml(job.location)}</span><br>
+                        <span class="text-sm">${escapeHtml([...getJobHighlights(job), job.expiresAt ? `Expires ${formatJobDate(job.expiresAt)}` : ''].filter(Boolean).join(' · '))}</span>
                     </div>
                     <div class="actions">
                         <button class="edit-btn" aria-label="Edit Job" title="Edit Job"><i class="fas fa-edit"></i></button>
@@ -381,175 +725,2484 @@ function setupJobPostForm() {
     const jobTitleInput = document.getElementById('jobTitle');
     const jobCompanyInput = document.getElementById('jobCompany');
     const jobLocationInput = document.getElementById('jobLocation');
+    const jobIndustrySelect = document.getElementById('jobIndustry');
+    const jobEmploymentTypeSelect = document.getElementById('jobEmploymentType');
+    const jobStatusSelect = document.getElementById('jobStatus');
+    const jobExperienceMinInput = document.getElementById('jobExperienceMin');
+    const jobExperienceMaxInput = document.getElementById('jobExperienceMax');
+    const jobSalaryMinInput = document.getElementById('jobSalaryMin');
+    const jobSalaryMaxInput = document.getElementById('jobSalaryMax');
+    const jobOpeningsInput = document.getElementById('jobOpenings');
     const jobDescriptionTextarea = document.getElementById('jobDescription');
     const jobPostedDateInput = document.getElementById('jobPostedDate');
+    const jobExpiresAtInput = document.getElementById('jobExpiresAt');
     const jobFormSubmitBtn = document.getElementById('jobFormSubmitBtn');
     const jobFormClearBtn = document.getElementById('jobFormClearBtn');
-    const jobFormMessage = document.getElementById('jobFormMessage');
 
     if (!jobPostForm) return;
 
-    jobPostForm.addEventListener('submit', (e) => {
+    jobPostForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
-        const jobs = getJobsFromLocalStorage();
         const isEditing = jobIdInput.value !== '';
-        let message = '';
 
-        const newJob = {
-            id: isEditing ? jobIdInput.value : Date.now().toString(), // Simple unique ID
+        const job = {
             title: jobTitleInput.value.trim(),
             company: jobCompanyInput.value.trim(),
             location: jobLocationInput.value.trim(),
+            industry: jobIndustrySelect.value,
+            employmentType: jobEmploymentTypeSelect.value,
+            status: jobStatusSelect.value,
+            // Number inputs are sent as typed; the server parses them and empty ones clear the field
+            experienceMin: jobExperienceMinInput.value,
+            experienceMax: jobExperienceMaxInput.value,
+            salaryMin: jobSalaryMinInput.value,
+            salaryMax: jobSalaryMaxInput.value,
+            openings: jobOpeningsInput.value,
             description: jobDescriptionTextarea.value.trim(),
-            postedDate: jobPostedDateInput.value || new Date().toISOString().slice(0, 10) // Default to today if not set
+            postedDate: jobPostedDateInput.value || new Date().toISOString().slice(0, 10), // Default to today if not set
+            expiresAt: jobExpiresAtInput.value
         };
 
-        if (isEditing) {
-            const index = jobs.findIndex(job => job.id === newJob.id);
-            if (index !== -1) {
-                jobs[index] = newJob;
-                message = 'Job listing updated successfully!';
+        jobFormSubmitBtn.disabled = true;
+        try {
+            await adminFetchJson(isEditing ? `${JOBS_API_URL}/${jobIdInput.value}` : JOBS_API_URL, {
+                method: isEditing ? 'PUT' : 'POST',
+                body: JSON.stringify(job)
+            });
+        } catch (error) {
+            // The job form's inputs aren't named after the API fields, so list the messages instead
+            if (error.errors) {
+                showGlobalMessage(`Error: ${Object.values(error.errors).join(' ')}`, 'error', 5000);
             } else {
-                message = 'Error: Job not found for update.';
-                showGlobalMessage(message, 'error');
-                return;
+                showApiError(error, 'Could not save the job. Please try again.');
             }
-        } else {
-            jobs.push(newJob);
-            message = 'Job listing added successfully!';
+            return;
+        } finally {
+            jobFormSubmitBtn.disabled = false;
+        }
+
+        showGlobalMessage(isEditing ? 'Job listing updated successfully!' : 'Job listing added successfully!', 'success');
+        jobPostForm.reset(); // Clear form
+        jobIdInput.value = ''; // Clear ID for next new job
+        jobFormSubmitBtn.textContent = 'Post Job';
+        jobFormClearBtn.style.display = 'none';
+        renderAdminJobListings(); // Re-render the list
+    });
+
+    jobFormClearBtn.addEventListener('click', () => {
+        jobPostForm.reset();
+        jobIdInput.value = '';
+        jobFormSubmitBtn.textContent = 'Post Job';
+        jobFormClearBtn.style.display = 'none';
+        showGlobalMessage('Form cleared.', 'success');
+    });
+}
+
+/**
+ * Populates the job form with data for editing.
+ * @param {string} jobId - The ID of the job to edit.
+ */
+function editJob(jobId) {
+    // Taken from the admin list, since drafts and closed jobs aren't served publicly
+    const jobToEdit = adminJobs.get(jobId);
+    if (!jobToEdit) {
+        showGlobalMessage('Job not found for editing.', 'error');
+        return;
+    }
+
+    document.getElementById('jobId').value = jobToEdit.id;
+    document.getElementById('jobTitle').value = jobToEdit.title;
+    document.getElementById('jobCompany').value = jobToEdit.company;
+    document.getElementById('jobLocation').value = jobToEdit.location;
+    document.getElementById('jobIndustry').value = jobToEdit.industry || '';
+    document.getElementById('jobEmploymentType').value = jobToEdit.employmentType || '';
+    document.getElementById('jobStatus').value = jobToEdit.status || 'published';
+    document.getElementById('jobExperienceMin').value = jobToEdit.experienceMin ?? '';
+    document.getElementById('jobExperienceMax').value = jobToEdit.experienceMax ?? '';
+    document.getElementById('jobSalaryMin').value = jobToEdit.salaryMin ?? '';
+    document.getElementById('jobSalaryMax').value = jobToEdit.salaryMax ?? '';
+    document.getElementById('jobOpenings').value = jobToEdit.openings ?? 1;
+    document.getElementById('jobDescription').value = jobToEdit.description || '';
+    document.getElementById('jobPostedDate').value = jobToEdit.postedDate ? jobToEdit.postedDate.slice(0, 10) : '';
+    document.getElementById('jobExpiresAt').value = jobToEdit.expiresAt ? jobToEdit.expiresAt.slice(0, 10) : '';
+
+    document.getElementById('jobFormSubmitBtn').textContent = 'Update Job';
+    document.getElementById('jobFormClearBtn').style.display = 'inline-block';
+    showGlobalMessage(`Editing job: "${jobToEdit.title}"`, 'success', 2000);
+}
+
+/**
+ * Deletes a job listing.
+ * @param {string} jobId - The ID of the job to delete.
+ */
+async function deleteJob(jobId) {
+    try {
+        await adminFetchJson(`${JOBS_API_URL}/${jobId}`, { method: 'DELETE' });
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+
+    renderAdminJobListings();
+    showGlobalMessage('Job listing deleted successfully!', 'success');
+}
+
+// --- Bulk Job Import (Admin) ---
+
+const JOB_BULK_IMPORT_URL = `${JOBS_API_URL}/bulk-import`;
+const JOB_IMPORT_STATUS_LABELS = {
+    valid: 'Ready',
+    created: 'Created',
+    duplicate: 'Duplicate',
+    rejected: 'Rejected'
+};
+
+let jobImportMapping = null; // Column heading to job field, once previewed
+
+/**
+ * Sends the chosen file to the server, either to preview the import or to
+ * create the valid rows. The server validates every row either way.
+ * @param {boolean} dryRun - Whether to only preview.
+ * @returns {Promise<object>} The import result.
+ */
+function sendJobImport(dryRun) {
+    const formData = new FormData();
+    formData.append('file', document.getElementById('jobImportFile').files[0]);
+    if (jobImportMapping) formData.append('mapping', JSON.stringify(jobImportMapping));
+    formData.append('dryRun', String(dryRun));
+    return adminFetchJson(JOB_BULK_IMPORT_URL, { method: 'POST', body: formData });
+}
+
+/**
+ * Shows the column mapping and the per-row results of an import.
+ * @param {object} result - The response from the bulk import endpoint.
+ */
+function renderJobImportPreview(result) {
+    const fieldOptions = result.fields.map(field =>
+        `<option value="${escapeHtml(field.name)}">${escapeHtml(field.label)}${field.required ? ' *' : ''}</option>`).join('');
+    const mappingContainer = document.getElementById('jobImportMapping');
+    mappingContainer.innerHTML = result.columns.map((column, index) => `
+        <div>
+            <label for="jobImportColumn${index}" class="block font-semibold mb-2">${escapeHtml(column)}</label>
+            <select id="jobImportColumn${index}" class="admin-input" data-column="${escapeHtml(column)}">
+                <option value="">Ignore</option>
+                ${fieldOptions}
+            </select>
+        </div>
+    `).join('');
+    mappingContainer.querySelectorAll('select').forEach(select => {
+        select.value = result.mapping[select.dataset.column] || '';
+    });
+
+    document.getElementById('jobImportSummary').textContent = result.message;
+    document.getElementById('jobImportRows').innerHTML = result.rows.map(row => {
+        const errors = row.errors
+            ? `<ul>${Object.values(row.errors).map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`
+            : '';
+        return `
+            <tr>
+                <td>${row.row}</td>
+                <td>${escapeHtml(row.values.title || '')}</td>
+                <td>${escapeHtml(row.values.company || '')}</td>
+                <td>${escapeHtml(row.values.location || '')}</td>
+                <td><span class="job-import-status ${row.status}">${JOB_IMPORT_STATUS_LABELS[row.status] || row.status}</span>${errors}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const commitButton = document.getElementById('jobImportCommitBtn');
+    commitButton.style.display = result.dryRun ? '' : 'none';
+    commitButton.disabled = result.counts.valid === 0;
+    commitButton.textContent = `Import ${result.counts.valid} Valid Job${result.counts.valid === 1 ? '' : 's'}`;
+    document.getElementById('jobImportCancelBtn').textContent = result.dryRun ? 'Cancel' : 'Done';
+    document.getElementById('jobImportPreview').classList.remove('hidden');
+}
+
+/**
+ * Previews the import again, e.g. after the column mapping changed.
+ */
+async function previewJobImport() {
+    try {
+        renderJobImportPreview(await sendJobImport(true));
+    } catch (error) {
+        showApiError(error);
+    }
+}
+
+/**
+ * Wires up the bulk job import: choosing a file previews it, changing a
+ * column's field previews it again, and the import button creates the
+ * valid rows.
+ */
+function setupJobImport() {
+    const form = document.getElementById('jobImportForm');
+    if (!form) return;
+
+    const preview = document.getElementById('jobImportPreview');
+    const reset = () => {
+        jobImportMapping = null;
+        form.reset();
+        preview.classList.add('hidden');
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        // A new file gets its columns guessed afresh
+        jobImportMapping = null;
+        previewJobImport();
+    });
+
+    document.getElementById('jobImportMapping').addEventListener('change', () => {
+        jobImportMapping = {};
+        document.querySelectorAll('#jobImportMapping select').forEach(select => {
+            jobImportMapping[select.dataset.column] = select.value;
+        });
+        previewJobImport();
+    });
+
+    document.getElementById('jobImportCommitBtn').addEventListener('click', async (e) => {
+        const commitButton = e.currentTarget;
+        commitButton.disabled = true;
+        try {
+            const result = await sendJobImport(false);
+            renderJobImportPreview(result);
+            showGlobalMessage(result.message, 'success', 5000);
+            renderAdminJobListings();
+        } catch (error) {
+            commitButton.disabled = false;
+            showApiError(error);
         }
+    });
+
+    document.getElementById('jobImportCancelBtn').addEventListener('click', reset);
+}
+
+// --- Contact Inbox (Admin) ---
+
+const CONTACTS_API_URL = `${API_BASE_URL}/contacts`;
+const INBOX_PAGE_SIZE = 20;
+const INBOX_REFRESH_MS = 60000;
+
+let inboxPage = 1;
+let inboxContacts = new Map();
+let adminUsers = [];
+let inboxRefreshTimer = null;
+
+/**
+ * Formats a date with its time of day for the inbox.
+ * @param {string} value - An ISO date string.
+ * @returns {string} The formatted date and time.
+ */
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Loads the admin users messages can be assigned to and lists them in the assignee filter.
+ */
+async function loadAdminUsers() {
+    try {
+        adminUsers = (await adminFetchJson(`${API_BASE_URL}/admin-users`)).users;
+    } catch (error) {
+        console.error('Error loading admin users:', error);
+        adminUsers = [];
+    }
+
+    const filter = document.getElementById('inboxAssigneeFilter');
+    if (!filter) return;
+    filter.querySelectorAll('option[data-admin-user]').forEach(option => option.remove());
+    adminUsers.forEach(user => {
+        const option = new Option(user.name || user.username, user.id);
+        option.dataset.adminUser = '';
+        filter.add(option);
+    });
+}
+
+/**
+ * Shows the number of unread messages next to the Inbox link in the header.
+ * @param {number} unread - Unread, unarchived messages.
+ */
+function showInboxUnreadCount(unread) {
+    const badge = document.getElementById('inboxUnreadCount');
+    if (!badge) return;
+    badge.textContent = unread;
+    badge.title = `${unread} unread message${unread === 1 ? '' : 's'}`;
+    badge.classList.toggle('hidden', unread === 0);
+}
+
+async function refreshInboxUnreadCount() {
+    if (!getAdminToken()) return;
+    try {
+        showInboxUnreadCount((await adminFetchJson(`${CONTACTS_API_URL}/unread-count`)).unread);
+    } catch (error) {
+        console.error('Error loading unread count:', error);
+    }
+}
+
+/**
+ * Renders one inbox message: a summary row that expands to the full message,
+ * its notes and the actions an admin can take on it.
+ * @param {object} contact - The contact message.
+ * @param {boolean} expanded - Whether to show the details.
+ * @returns {string} The list item's HTML.
+ */
+function renderInboxMessage(contact, expanded) {
+    const assigneeId = contact.assignedTo ? contact.assignedTo._id : '';
+    const assigneeName = contact.assignedTo ? (contact.assignedTo.name || contact.assignedTo.username) : '';
+    const assigneeOptions = adminUsers.map(user => `
+        <option value="${escapeHtml(user.id)}" ${user.id === assigneeId ? 'selected' : ''}>${escapeHtml(user.name || user.username)}</option>
+    `).join('');
+    const notes = (contact.notes || []).map(note => `
+        <li>
+            <p class="whitespace-pre-line">${escapeHtml(note.text)}</p>
+            <span>${escapeHtml(formatDateTime(note.createdAt))}${note.author ? ` by ${escapeHtml(note.author.name || note.author.username)}` : ''}</span>
+        </li>
+    `).join('');
+
+    return `
+        <li class="inbox-message ${contact.read ? '' : 'unread'}" data-contact-id="${escapeHtml(contact.id)}">
+            <button type="button" class="inbox-message-summary" aria-expanded="${expanded}">
+                <span>${escapeHtml(contact.name)}</span>
+                <span>${escapeHtml(contact.subject)}${assigneeName ? ` <span class="text-xs font-normal">(${escapeHtml(assigneeName)})</span>` : ''}</span>
+                <span class="text-sm">${escapeHtml(formatDateTime(contact.createdAt))}</span>
+            </button>
+            <div class="inbox-message-details ${expanded ? '' : 'hidden'}">
+                <p class="text-sm mb-2"><a href="mailto:${escapeHtml(contact.email)}" class="text-primary-color">${escapeHtml(contact.email)}</a></p>
+                <p class="whitespace-pre-line mb-4">${escapeHtml(contact.message)}</p>
+                <div class="flex flex-wrap items-center gap-4 mb-4">
+                    <label class="flex items-center gap-2">
+                        Assigned to
+                        <select class="admin-input assign-select">
+                            <option value="">Nobody</option>
+                            ${assigneeOptions}
+                        </select>
+                    </label>
+                    <button type="button" data-action="toggle-read" class="text-gray-700 hover:text-primary-color font-medium">
+                        <i class="fas ${contact.read ? 'fa-envelope' : 'fa-envelope-open'} mr-1"></i>${contact.read ? 'Mark as unread' : 'Mark as read'}
+                    </button>
+                    <button type="button" data-action="toggle-archive" class="text-gray-700 hover:text-primary-color font-medium">
+                        <i class="fas ${contact.archived ? 'fa-inbox' : 'fa-archive'} mr-1"></i>${contact.archived ? 'Move to inbox' : 'Archive'}
+                    </button>
+                </div>
+                <ol class="inbox-notes">${notes}</ol>
+                <form class="note-form flex gap-2">
+                    <textarea name="text" rows="2" class="admin-input" placeholder="Add an internal note" required></textarea>
+                    <button type="submit" class="cta-button">Add Note</button>
+                </form>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Loads the current page of the inbox using the filter form and renders it.
+ */
+async function renderInbox() {
+    const list = document.getElementById('inboxList');
+    const form = document.getElementById('inboxFilterForm');
+    if (!list || !form) return;
+
+    const params = getFilterParams(form);
+    params.set('page', inboxPage);
+    params.set('limit', INBOX_PAGE_SIZE);
+
+    let result;
+    try {
+        result = await adminFetchJson(`${CONTACTS_API_URL}?${params}`);
+    } catch (error) {
+        console.error('Error loading inbox:', error);
+        list.innerHTML = '<li class="text-center py-4">Could not load messages. Please refresh the page.</li>';
+        return;
+    }
+
+    showInboxUnreadCount(result.unread);
+    inboxContacts = new Map(result.contacts.map(contact => [contact.id, contact]));
+    list.innerHTML = result.contacts.length > 0
+        ? result.contacts.map(contact => renderInboxMessage(contact, false)).join('')
+        : '<li class="text-center py-4">No messages found.</li>';
+
+    const pagination = document.getElementById('inboxPagination');
+    if (pagination) {
+        pagination.innerHTML = result.pages > 1 ? `
+            <button type="button" data-page="${result.page - 1}" class="text-gray-700 hover:text-primary-color" ${result.page <= 1 ? 'disabled' : ''}>&laquo; Previous</button>
+            <span class="text-gray-600">Page ${result.page} of ${result.pages}</span>
+            <button type="button" data-page="${result.page + 1}" class="text-gray-700 hover:text-primary-color" ${result.page >= result.pages ? 'disabled' : ''}>Next &raquo;</button>
+        ` : '';
+    }
+}
+
+/**
+ * Saves a change to a message and redraws it in place, still expanded.
+ * @param {string} contactId - The message's id.
+ * @param {object} changes - Any of read, archived and assignedTo.
+ */
+async function updateInboxMessage(contactId, changes) {
+    let contact;
+    try {
+        contact = (await adminFetchJson(`${CONTACTS_API_URL}/${contactId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        })).contact;
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+
+    refreshInboxUnreadCount();
+    // Archiving moves the message out of the list being shown
+    if ('archived' in changes) {
+        renderInbox();
+        return;
+    }
+    replaceInboxMessage(contact);
+}
+
+function replaceInboxMessage(contact) {
+    const item = document.querySelector(`.inbox-message[data-contact-id="${CSS.escape(contact.id)}"]`);
+    inboxContacts.set(contact.id, contact);
+    if (item) item.outerHTML = renderInboxMessage(contact, true);
+}
+
+/**
+ * Wires up the inbox filters, pagination and message actions, and keeps the
+ * unread counter current while the panel is open.
+ */
+function setupInbox() {
+    const list = document.getElementById('inboxList');
+    const form = document.getElementById('inboxFilterForm');
+    const pagination = document.getElementById('inboxPagination');
+    if (!list || !form) return;
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        inboxPage = 1;
+        renderInbox();
+    });
+    form.addEventListener('reset', () => {
+        // Let the form clear its fields before reloading
+        setTimeout(() => {
+            inboxPage = 1;
+            renderInbox();
+        });
+    });
+
+    if (pagination) {
+        pagination.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-page]');
+            if (!button || button.disabled) return;
+            inboxPage = Number(button.dataset.page);
+            renderInbox();
+        });
+    }
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.inbox-message');
+        const contact = item && inboxContacts.get(item.dataset.contactId);
+        if (!contact) return;
+
+        if (e.target.closest('.inbox-message-summary')) {
+            const details = item.querySelector('.inbox-message-details');
+            const expanding = details.classList.toggle('hidden') === false;
+            item.querySelector('.inbox-message-summary').setAttribute('aria-expanded', expanding);
+            // Opening an unread message marks it read
+            if (expanding && !contact.read) updateInboxMessage(contact.id, { read: true });
+            return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+        if (action.dataset.action === 'toggle-read') updateInboxMessage(contact.id, { read: !contact.read });
+        if (action.dataset.action === 'toggle-archive') updateInboxMessage(contact.id, { archived: !contact.archived });
+    });
+
+    list.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('assign-select')) return;
+        const item = e.target.closest('.inbox-message');
+        updateInboxMessage(item.dataset.contactId, { assignedTo: e.target.value });
+    });
+
+    list.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const noteForm = e.target;
+        const item = noteForm.closest('.inbox-message');
+        const submitButton = noteForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            const result = await adminFetchJson(`${CONTACTS_API_URL}/${item.dataset.contactId}/notes`, {
+                method: 'POST',
+                body: JSON.stringify({ text: noteForm.elements.text.value })
+            });
+            replaceInboxMessage(result.contact);
+        } catch (error) {
+            showApiError(error);
+            submitButton.disabled = false;
+        }
+    });
+
+    if (!inboxRefreshTimer) inboxRefreshTimer = setInterval(refreshInboxUnreadCount, INBOX_REFRESH_MS);
+}
+
+// --- Request Queues (Admin) ---
+// Callback requests, partnership inquiries and help tickets each have an admin
+// card marked with `data-request-queue`, naming the queue's API path.
+
+const REQUEST_QUEUE_PAGE_SIZE = 20;
+const REQUEST_STATUS_LABELS = {
+    new: 'New',
+    'in-progress': 'In progress',
+    closed: 'Closed'
+};
+
+// How each queue's requests are shown: the summary row and the fields in the details
+const REQUEST_QUEUE_VIEWS = {
+    'callback-requests': {
+        title: request => request.name,
+        subtitle: request => request.preferredTime ? `${request.phone} (${request.preferredTime})` : request.phone,
+        fields: [['Phone', 'phone'], ['Email', 'email'], ['Preferred time', 'preferredTime']]
+    },
+    'partnership-inquiries': {
+        title: request => request.company,
+        subtitle: request => [request.name, request.partnershipType].filter(Boolean).join(' · '),
+        fields: [['Contact', 'name'], ['Email', 'email'], ['Phone', 'phone'], ['Partnership type', 'partnershipType']]
+    },
+    'help-tickets': {
+        title: request => request.name,
+        subtitle: request => `${request.referenceNumber} · ${request.subject}`,
+        fields: [['Reference', 'referenceNumber'], ['Email', 'email'], ['Phone', 'phone'], ['Category', 'category'], ['Subject', 'subject']]
+    }
+};
+
+// Per queue path: the page shown and the requests on it by id
+const requestQueues = new Map();
+
+/**
+ * Formats a request field for the details, linking emails and phone numbers.
+ * @param {string} key - The field name.
+ * @param {string} value - The field value.
+ * @returns {string} The value's HTML.
+ */
+function formatRequestField(key, value) {
+    if (key === 'email') return `<a href="mailto:${escapeHtml(value)}" class="text-primary-color">${escapeHtml(value)}</a>`;
+    if (key === 'phone') return `<a href="tel:${escapeHtml(value.replace(/[^\d+]/g, ''))}" class="text-primary-color">${escapeHtml(value)}</a>`;
+    return escapeHtml(value);
+}
+
+/**
+ * Renders one request: a summary row that expands to its details, status and assignee.
+ * @param {string} path - The queue's API path.
+ * @param {object} request - The request.
+ * @param {boolean} expanded - Whether to show the details.
+ * @returns {string} The list item's HTML.
+ */
+function renderRequest(path, request, expanded) {
+    const view = REQUEST_QUEUE_VIEWS[path];
+    const assigneeId = request.assignedTo ? request.assignedTo._id : '';
+    const assigneeName = request.assignedTo ? (request.assignedTo.name || request.assignedTo.username) : '';
+    const assigneeOptions = adminUsers.map(user => `
+        <option value="${escapeHtml(user.id)}" ${user.id === assigneeId ? 'selected' : ''}>${escapeHtml(user.name || user.username)}</option>
+    `).join('');
+    const statusOptions = Object.entries(REQUEST_STATUS_LABELS).map(([value, label]) => `
+        <option value="${value}" ${value === request.status ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const fields = view.fields
+        .filter(([, key]) => request[key])
+        .map(([label, key]) => `<dt>${label}</dt><dd>${formatRequestField(key, request[key])}</dd>`)
+        .join('');
+
+    return `
+        <li class="inbox-message ${request.status === 'new' ? 'unread' : ''}" data-request-id="${escapeHtml(request.id)}">
+            <button type="button" class="inbox-message-summary" aria-expanded="${expanded}">
+                <span>${escapeHtml(view.title(request))}</span>
+                <span>${escapeHtml(view.subtitle(request))} <span class="text-xs font-normal">(${REQUEST_STATUS_LABELS[request.status]}${assigneeName ? `, ${escapeHtml(assigneeName)}` : ''})</span></span>
+                <span class="text-sm">${escapeHtml(formatDateTime(request.createdAt))}</span>
+            </button>
+            <div class="inbox-message-details ${expanded ? '' : 'hidden'}">
+                <dl class="request-fields mb-4">${fields}</dl>
+                ${request.message ? `<p class="whitespace-pre-line mb-4">${escapeHtml(request.message)}</p>` : ''}
+                <div class="flex flex-wrap items-center gap-4">
+                    <label class="flex items-center gap-2">
+                        Status
+                        <select class="admin-input status-select">${statusOptions}</select>
+                    </label>
+                    <label class="flex items-center gap-2">
+                        Assigned to
+                        <select class="admin-input assign-select">
+                            <option value="">Nobody</option>
+                            ${assigneeOptions}
+                        </select>
+                    </label>
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Loads the current page of a queue using its filter form and renders it.
+ * @param {HTMLElement} card - The queue's admin card.
+ */
+async function renderRequestQueue(card) {
+    const path = card.dataset.requestQueue;
+    const list = card.querySelector('[data-request-list]');
+    const form = card.querySelector('form');
+    const queue = requestQueues.get(path);
+    if (!list || !form || !queue) return;
+
+    const params = getFilterParams(form);
+    params.set('page', queue.page);
+    params.set('limit', REQUEST_QUEUE_PAGE_SIZE);
+
+    let result;
+    try {
+        result = await adminFetchJson(`${API_BASE_URL}/${path}?${params}`);
+    } catch (error) {
+        console.error(`Error loading ${path}:`, error);
+        list.innerHTML = '<li class="text-center py-4">Could not load requests. Please refresh the page.</li>';
+        return;
+    }
+
+    const badge = card.querySelector('[data-request-count]');
+    if (badge) {
+        badge.textContent = result.open;
+        badge.title = `${result.open} new`;
+        badge.classList.toggle('hidden', result.open === 0);
+    }
+    queue.requests = new Map(result.requests.map(request => [request.id, request]));
+    list.innerHTML = result.requests.length > 0
+        ? result.requests.map(request => renderRequest(path, request, false)).join('')
+        : '<li class="text-center py-4">No requests found.</li>';
+
+    const pagination = card.querySelector('[data-request-pagination]');
+    if (pagination) {
+        pagination.innerHTML = result.pages > 1 ? `
+            <button type="button" data-page="${result.page - 1}" class="text-gray-700 hover:text-primary-color" ${result.page <= 1 ? 'disabled' : ''}>&laquo; Previous</button>
+            <span class="text-gray-600">Page ${result.page} of ${result.pages}</span>
+            <button type="button" data-page="${result.page + 1}" class="text-gray-700 hover:text-primary-color" ${result.page >= result.pages ? 'disabled' : ''}>Next &raquo;</button>
+        ` : '';
+    }
+}
+
+/**
+ * Loads every request queue in the admin panel.
+ */
+function renderRequestQueues() {
+    document.querySelectorAll('[data-request-queue]').forEach(renderRequestQueue);
+}
+
+/**
+ * Saves a change to a request. Status changes reload the queue, as they
+ * change the new count and may move the request out of the filtered list;
+ * other changes redraw the request in place, still expanded.
+ * @param {HTMLElement} card - The queue's admin card.
+ * @param {string} requestId - The request's id.
+ * @param {object} changes - Either or both of status and assignedTo.
+ */
+async function updateRequest(card, requestId, changes) {
+    const path = card.dataset.requestQueue;
+    let request;
+    try {
+        request = (await adminFetchJson(`${API_BASE_URL}/${path}/${requestId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        })).request;
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+
+    if ('status' in changes) {
+        renderRequestQueue(card);
+        return;
+    }
+    requestQueues.get(path).requests.set(request.id, request);
+    const item = card.querySelector(`.inbox-message[data-request-id="${CSS.escape(request.id)}"]`);
+    if (item) item.outerHTML = renderRequest(path, request, true);
+}
+
+/**
+ * Wires up the filters, pagination and actions of each request queue.
+ */
+function setupRequestQueues() {
+    document.querySelectorAll('[data-request-queue]').forEach(card => {
+        const list = card.querySelector('[data-request-list]');
+        const form = card.querySelector('form');
+        const pagination = card.querySelector('[data-request-pagination]');
+        if (!list || !form) return;
+        const queue = { page: 1, requests: new Map() };
+        requestQueues.set(card.dataset.requestQueue, queue);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            queue.page = 1;
+            renderRequestQueue(card);
+        });
+        form.addEventListener('reset', () => {
+            // Let the form clear its fields before reloading
+            setTimeout(() => {
+                queue.page = 1;
+                renderRequestQueue(card);
+            });
+        });
+
+        if (pagination) {
+            pagination.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-page]');
+                if (!button || button.disabled) return;
+                queue.page = Number(button.dataset.page);
+                renderRequestQueue(card);
+            });
+        }
+
+        list.addEventListener('click', (e) => {
+            const summary = e.target.closest('.inbox-message-summary');
+            if (!summary) return;
+            const details = summary.closest('.inbox-message').querySelector('.inbox-message-details');
+            summary.setAttribute('aria-expanded', details.classList.toggle('hidden') === false);
+        });
+
+        list.addEventListener('change', (e) => {
+            const item = e.target.closest('.inbox-message');
+            if (e.target.classList.contains('status-select')) updateRequest(card, item.dataset.requestId, { status: e.target.value });
+            if (e.target.classList.contains('assign-select')) updateRequest(card, item.dataset.requestId, { assignedTo: e.target.value });
+        });
+    });
+}
+
+// --- Applicant Tracking (Admin) ---
+
+const JOB_APPLICATIONS_API_URL = `${API_BASE_URL}/job-applications`;
+const APPLICATION_STAGE_LABELS = {
+    received: 'Received',
+    screened: 'Screened',
+    interview: 'Interview',
+    offered: 'Offered',
+    placed: 'Placed',
+    rejected: 'Rejected'
+};
+
+/**
+ * Fills the job filter above the application board with the current jobs,
+ * keeping the selected job if it still exists.
+ * @param {Array} jobs - The job listings.
+ */
+function populateApplicationJobFilter(jobs) {
+    const jobFilter = document.getElementById('applicationJobFilter');
+    if (!jobFilter) return;
+
+    const selected = jobFilter.value;
+    jobFilter.innerHTML = '<option value="">All jobs</option>';
+    jobs.forEach(job => jobFilter.add(new Option(`${job.title} - ${job.company}`, job.id)));
+    jobFilter.value = jobs.some(job => job.id === selected) ? selected : '';
+}
+
+/**
+ * Builds the markup for an application card on the board.
+ * @param {object} application - The job application.
+ * @returns {string} The card HTML.
+ */
+function renderApplicationCard(application) {
+    const job = application.job;
+    const details = [
+        application.experienceYears != null ? `${application.experienceYears} yrs exp` : '',
+        application.noticePeriodDays != null ? `${application.noticePeriodDays} days notice` : ''
+    ].filter(Boolean).join(' · ');
+    const history = (application.stageHistory || []).slice().reverse().map(change => `
+        <li>
+            <strong>${escapeHtml(APPLICATION_STAGE_LABELS[change.stage] || change.stage)}</strong>
+            <span>${escapeHtml(formatJobDate(change.changedAt))}${change.changedBy ? ` by ${escapeHtml(change.changedBy.name || change.changedBy.username)}` : ''}</span>
+            ${change.note ? `<p>${escapeHtml(change.note)}</p>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <div class="application-card" draggable="true" data-application-id="${escapeHtml(application.id)}">
+            <strong>${escapeHtml(application.name)}</strong>
+            <span>${escapeHtml(application.position || (job && job.title) || 'General application')}${job ? ` - ${escapeHtml(job.company)}` : ''}</span>
+            ${details ? `<span class="text-xs">${escapeHtml(details)}</span>` : ''}
+            <span class="text-xs">${escapeHtml(application.referenceNumber || '')}</span>
+            <div class="actions">
+                <button class="move-btn" title="Move to another stage"><i class="fas fa-exchange-alt"></i></button>
+                ${application.resumeUrl ? '<button class="resume-btn" title="Download CV"><i class="fas fa-file-download"></i></button>' : ''}
+                <button class="history-btn" title="Show history"><i class="fas fa-history"></i></button>
+            </div>
+            <ol class="application-history hidden">${history}</ol>
+        </div>
+    `;
+}
+
+/**
+ * Renders the Kanban-style board of job applications, one column per stage.
+ */
+async function renderApplicationBoard() {
+    const board = document.getElementById('applicationBoard');
+    if (!board) return;
+
+    const params = getFilterParams(document.getElementById('applicationFilterForm'));
+
+    let result;
+    try {
+        result = await adminFetchJson(`${JOB_APPLICATIONS_API_URL}?${params}`);
+    } catch (error) {
+        console.error('Error loading applications:', error);
+        board.innerHTML = '<p class="text-center py-4">Could not load applications. Please refresh the page.</p>';
+        return;
+    }
+
+    // Applications saved before the pipeline existed have no stage and count as received
+    result.applications.forEach(application => { application.stage = application.stage || 'received'; });
+    const applicationsById = new Map(result.applications.map(application => [application.id, application]));
+    board.innerHTML = result.stages.map(stage => {
+        const applications = result.applications.filter(application => application.stage === stage);
+        return `
+            <div class="application-column" data-stage="${stage}">
+                <h3>${APPLICATION_STAGE_LABELS[stage] || stage} <span>${applications.length}</span></h3>
+                ${applications.map(renderApplicationCard).join('')}
+            </div>
+        `;
+    }).join('');
+
+    board.querySelectorAll('.application-card').forEach(card => {
+        const application = applicationsById.get(card.dataset.applicationId);
+
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', application.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        card.querySelector('.move-btn').addEventListener('click', () => openStageChangeModal(application, application.stage));
+        card.querySelector('.history-btn').addEventListener('click', () => {
+            card.querySelector('.application-history').classList.toggle('hidden');
+        });
+        const resumeBtn = card.querySelector('.resume-btn');
+        if (resumeBtn) resumeBtn.addEventListener('click', () => downloadResume(application));
+    });
+
+    board.querySelectorAll('.application-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            const application = applicationsById.get(e.dataTransfer.getData('text/plain'));
+            if (application && application.stage !== column.dataset.stage) {
+                openStageChangeModal(application, column.dataset.stage);
+            }
+        });
+    });
+}
+
+/**
+ * Opens the dialog for moving an application to another stage with a note.
+ * @param {object} application - The job application.
+ * @param {string} stage - The stage to preselect.
+ */
+function openStageChangeModal(application, stage) {
+    const modal = document.getElementById('stageChangeModal');
+    if (!modal) return;
+
+    document.getElementById('stageChangeApplicationId').value = application.id;
+    document.getElementById('stageChangeTitle').textContent = `Move ${application.name}`;
+    document.getElementById('stageChangeStage').value = stage;
+    document.getElementById('stageChangeNote').value = '';
+    modal.classList.remove('hidden');
+    document.getElementById('stageChangeNote').focus();
+}
+
+/**
+ * Wires up the stage change dialog and the board's filters.
+ */
+function setupApplicationBoard() {
+    const modal = document.getElementById('stageChangeModal');
+    const form = document.getElementById('stageChangeForm');
+    const stageSelect = document.getElementById('stageChangeStage');
+    const filterForm = document.getElementById('applicationFilterForm');
+    const stageFilter = document.getElementById('applicationStageFilter');
+
+    if (stageFilter) {
+        Object.entries(APPLICATION_STAGE_LABELS).forEach(([stage, label]) => stageFilter.add(new Option(label, stage)));
+    }
+    if (filterForm) {
+        filterForm.addEventListener('change', renderApplicationBoard);
+        filterForm.addEventListener('submit', (e) => e.preventDefault());
+    }
+    if (!modal || !form) return;
+
+    Object.entries(APPLICATION_STAGE_LABELS).forEach(([stage, label]) => stageSelect.add(new Option(label, stage)));
+
+    const closeModal = () => modal.classList.add('hidden');
+    document.getElementById('stageChangeCancelBtn').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const applicationId = document.getElementById('stageChangeApplicationId').value;
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            const result = await adminFetchJson(`${JOB_APPLICATIONS_API_URL}/${applicationId}/stage`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    stage: stageSelect.value,
+                    note: document.getElementById('stageChangeNote').value.trim()
+                })
+            });
+            closeModal();
+            showGlobalMessage(result.message, 'success');
+            renderApplicationBoard();
+            renderPlacementReport();
+        } catch (error) {
+            showApiError(error);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+}
+
+/**
+ * Downloads a candidate's CV. Uploaded CVs need the admin session.
+ * @param {object} application - The job application.
+ */
+async function downloadResume(application) {
+    if (!application.resumeFile) {
+        // Older applications only have a link the candidate typed in
+        window.open(application.resumeUrl, '_blank', 'noopener');
+        return;
+    }
+
+    try {
+        await downloadAdminFile(`${JOB_APPLICATIONS_API_URL}/${application.id}/resume`,
+            application.resumeFile.originalName || 'resume');
+    } catch (error) {
+        console.error('Resume download error:', error);
+        showGlobalMessage('Could not download the CV.', 'error');
+    }
+}
+
+/**
+ * Renders the number of placements per client company.
+ */
+async function renderPlacementReport() {
+    const report = document.getElementById('placementReport');
+    if (!report) return;
+
+    let placements;
+    try {
+        placements = (await adminFetchJson(`${API_BASE_URL}/reports/placements`)).placements;
+    } catch (error) {
+        console.error('Error loading placements:', error);
+        report.innerHTML = '<p class="text-center py-4">Could not load placements.</p>';
+        return;
+    }
+
+    if (placements.length === 0) {
+        report.innerHTML = '<p class="text-center py-4">No placements yet.</p>';
+        return;
+    }
+
+    report.innerHTML = `
+        <ul class="admin-list">
+            ${placements.map(row => `
+                <li>
+                    <span>${escapeHtml(row.company)}</span>
+                    <strong>${row.placements}</strong>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+const BLOCK_REASON_LABELS = {
+    'ip-rate-limit': 'Too many from one IP',
+    'email-rate-limit': 'Too many from one email',
+    'honeypot': 'Spam trap filled in',
+    'too-fast': 'Submitted too fast'
+};
+
+/**
+ * Renders how many form submissions spam protection blocked over the last
+ * 30 days, in total per reason and per day.
+ */
+async function renderBlockedSubmissionReport() {
+    const report = document.getElementById('blockedSubmissionReport');
+    if (!report) return;
+
+    let result;
+    try {
+        result = await adminFetchJson(`${API_BASE_URL}/reports/blocked-submissions?days=30`);
+    } catch (error) {
+        console.error('Error loading blocked submissions:', error);
+        report.innerHTML = '<p class="text-center py-4">Could not load blocked submissions.</p>';
+        return;
+    }
+
+    if (result.daily.length === 0) {
+        report.innerHTML = '<p class="text-center py-4">No submissions were blocked in the last 30 days.</p>';
+        return;
+    }
+
+    const reasons = Object.keys(BLOCK_REASON_LABELS);
+    const days = {};
+    result.daily.forEach(row => {
+        days[row.day] = days[row.day] || {};
+        days[row.day][row.reason] = (days[row.day][row.reason] || 0) + row.count;
+    });
+
+    report.innerHTML = `
+        <ul class="admin-list mb-4">
+            ${reasons.map(reason => `
+                <li>
+                    <span>${BLOCK_REASON_LABELS[reason]}</span>
+                    <strong>${result.totals[reason] || 0}</strong>
+                </li>
+            `).join('')}
+        </ul>
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm text-left">
+                <thead>
+                    <tr>
+                        <th class="py-2 pr-4">Day</th>
+                        ${reasons.map(reason => `<th class="py-2 pr-4">${BLOCK_REASON_LABELS[reason]}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(days).map(day => `
+                        <tr class="border-t">
+                            <td class="py-2 pr-4">${escapeHtml(formatJobDate(day))}</td>
+                            ${reasons.map(reason => `<td class="py-2 pr-4">${days[day][reason] || 0}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Loads everything shown in the admin panel once an admin is logged in.
+ */
+async function loadAdminDashboard() {
+    await importLegacyJobs();
+    renderAdminJobListings();
+    renderApplicationBoard();
+    renderPlacementReport();
+    renderBlockedSubmissionReport();
+    await loadAdminUsers();
+    renderInbox();
+    renderRequestQueues();
+    renderAdminGallery();
+    renderAdminClients();
+}
+
+/**
+ * Shows either the login form or the admin panel.
+ * @param {boolean} loggedIn - Whether an admin session is active.
+ */
+function showAdminSection(loggedIn) {
+    const adminLoginSection = document.getElementById('admin-login-section');
+    const jobManagementSection = document.getElementById('job-management-section');
+    if (adminLoginSection) adminLoginSection.style.display = loggedIn ? 'none' : 'block';
+    if (jobManagementSection) jobManagementSection.style.display = loggedIn ? 'block' : 'none';
+}
+
+/**
+ * Asks the server who is logged in with the stored session token.
+ * @returns {Promise<object|null>} The admin user, or null if there is no valid session.
+ */
+async function fetchCurrentAdmin() {
+    if (!getAdminToken()) return null;
+    try {
+        return (await adminFetchJson(`${AUTH_API_URL}/me`)).admin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Handles admin login.
+ */
+function setupAdminLogin() {
+    const adminLoginForm = document.getElementById('adminLoginForm');
+    const adminUsernameInput = document.getElementById('adminUsername');
+    const adminPasswordInput = document.getElementById('adminPassword');
+    const loginMessage = document.getElementById('loginMessage');
+    const adminLogoutBtn = document.getElementById('adminLogoutBtn');
+
+    // Flag set by the old client-side-only login; it no longer grants access
+    localStorage.removeItem('adminLoggedIn');
+
+    // Check session on page load
+    showAdminSection(false);
+    fetchCurrentAdmin().then(admin => {
+        if (admin) {
+            showAdminSection(true);
+            loadAdminDashboard();
+        }
+    });
+
+    if (adminLoginForm) {
+        adminLoginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitButton = adminLoginForm.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            try {
+                const result = await fetchJson(`${AUTH_API_URL}/login`, {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        username: adminUsernameInput.value.trim(),
+                        password: adminPasswordInput.value
+                    })
+                });
+                sessionStorage.setItem(ADMIN_TOKEN_KEY, result.token);
+                adminPasswordInput.value = ''; // Don't keep the password in the DOM
+                if (loginMessage) loginMessage.style.display = 'none';
+                showAdminSection(true);
+                loadAdminDashboard();
+                showGlobalMessage('Logged in successfully!', 'success');
+            } catch (error) {
+                loginMessage.textContent = error.status === 401
+                    ? 'Invalid username or password. Please try again.'
+                    : 'Could not reach the server. Please try again.';
+                loginMessage.style.color = '#DC3545';
+                loginMessage.style.display = 'block';
+                showGlobalMessage('Login failed.', 'error');
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+    }
+
+    if (adminLogoutBtn) {
+        adminLogoutBtn.addEventListener('click', async () => {
+            try {
+                await adminFetchJson(`${AUTH_API_URL}/logout`, { method: 'POST' });
+            } catch (error) {
+                // The session is dropped locally either way
+                console.error('Logout error:', error);
+            }
+            sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+            showAdminSection(false);
+            adminPasswordInput.value = ''; // Clear password field
+            if (loginMessage) {
+                loginMessage.style.display = 'none';
+            }
+            showGlobalMessage('Logged out successfully!', 'success');
+        });
+    }
+}
+
+// --- Exports (Admin) ---
+
+/**
+ * Wires up the CSV and Excel export buttons. Each button group names the
+ * export endpoint in `data-export` and the filter form whose current values
+ * the export should use in `data-export-filters`.
+ */
+function setupExports() {
+    document.querySelectorAll('[data-export]').forEach(group => {
+        group.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (!button) return;
+
+            const params = getFilterParams(document.getElementById(group.dataset.exportFilters));
+            params.set('format', button.dataset.format);
+            button.disabled = true;
+            try {
+                await downloadAdminFile(`${API_BASE_URL}/${group.dataset.export}/export?${params}`,
+                    `${group.dataset.export}.${button.dataset.format}`);
+            } catch (error) {
+                console.error('Export error:', error);
+                showGlobalMessage('Could not export. Please try again.', 'error');
+            } finally {
+                button.disabled = false;
+            }
+        });
+    });
+
+    const subscriberFilterForm = document.getElementById('subscriberFilterForm');
+    if (subscriberFilterForm) subscriberFilterForm.addEventListener('submit', (e) => e.preventDefault());
+}
+
+// --- Gallery (Admin) ---
+// Albums and their photos are edited in place: fields are saved as soon as
+// they change, and each change redraws only the album it affected.
+
+const GALLERY_ALBUMS_API_URL = `${API_BASE_URL}/gallery/albums`;
+
+let adminGalleryAlbums = []; // In display order
+
+/**
+ * Renders an album in the admin gallery: its details, publish state, photos
+ * with their captions, and the controls for ordering and uploading.
+ * @param {object} album - The album.
+ * @returns {string} The list item's HTML.
+ */
+function renderAdminGalleryAlbum(album) {
+    const categoryOptions = Object.entries(GALLERY_CATEGORY_LABELS).map(([value, label]) => `
+        <option value="${value}" ${value === album.category ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const published = album.status === 'published';
+    const photos = album.photos.map(photo => `
+        <li class="gallery-admin-photo" data-photo-id="${escapeHtml(photo.id)}">
+            <img src="${escapeHtml(apiAssetUrl(photo.thumbnailUrl))}" alt="" loading="lazy">
+            <input type="text" class="admin-input" data-photo-field="caption" value="${escapeHtml(photo.caption || '')}" maxlength="300" placeholder="Caption" aria-label="Caption">
+            <div class="gallery-admin-actions">
+                <button type="button" data-action="move-photo" data-offset="-1" aria-label="Move photo earlier" title="Move earlier"><i class="fas fa-arrow-left"></i></button>
+                <button type="button" data-action="move-photo" data-offset="1" aria-label="Move photo later" title="Move later"><i class="fas fa-arrow-right"></i></button>
+                <button type="button" data-action="delete-photo" class="delete-btn" aria-label="Delete photo" title="Delete photo"><i class="fas fa-trash-alt"></i></button>
+            </div>
+        </li>
+    `).join('');
+
+    return `
+        <li class="gallery-admin-album" data-album-id="${escapeHtml(album.id)}">
+            <div class="flex flex-wrap items-start gap-4 mb-4">
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-2 flex-1">
+                    <input type="text" class="admin-input" data-album-field="title" value="${escapeHtml(album.title)}" maxlength="100" required aria-label="Album title">
+                    <select class="admin-input" data-album-field="category" aria-label="Category">${categoryOptions}</select>
+                    <textarea class="admin-input md:col-span-2" data-album-field="description" rows="2" maxlength="1000" placeholder="Description" aria-label="Description">${escapeHtml(album.description || '')}</textarea>
+                </div>
+                <div class="gallery-admin-actions">
+                    <span class="job-status ${published ? 'published' : 'draft'}">${published ? 'Published' : 'Draft'}</span>
+                    <button type="button" data-action="publish" class="text-gray-700 hover:text-primary-color font-medium">${published ? 'Unpublish' : 'Publish'}</button>
+                    <button type="button" data-action="move-album" data-offset="-1" aria-label="Move album up" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                    <button type="button" data-action="move-album" data-offset="1" aria-label="Move album down" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                    <button type="button" data-action="delete-album" class="delete-btn" aria-label="Delete album" title="Delete album"><i class="fas fa-trash-alt"></i></button>
+                </div>
+            </div>
+            ${photos ? `<ul class="gallery-admin-photos">${photos}</ul>` : '<p class="text-sm text-gray-600 mb-4">No photos yet.</p>'}
+            <label class="block font-semibold mt-4">
+                Add photos (JPEG, PNG or WebP)
+                <input type="file" class="admin-input mt-2" data-photo-upload accept="image/jpeg,image/png,image/webp" multiple>
+            </label>
+        </li>
+    `;
+}
+
+/**
+ * Loads every album, drafts included, and renders them.
+ */
+async function renderAdminGallery() {
+    const list = document.getElementById('galleryAlbumList');
+    if (!list) return;
+
+    try {
+        adminGalleryAlbums = (await adminFetchJson(GALLERY_ALBUMS_API_URL)).albums;
+    } catch (error) {
+        console.error('Error loading gallery albums:', error);
+        list.innerHTML = '<li class="text-center py-4">Could not load the gallery. Please refresh the page.</li>';
+        return;
+    }
+
+    list.innerHTML = adminGalleryAlbums.length > 0
+        ? adminGalleryAlbums.map(renderAdminGalleryAlbum).join('')
+        : '<li class="text-center py-4">No albums yet. Create one above!</li>';
+}
+
+/**
+ * Redraws an album after the server returned its new state.
+ * @param {object} album - The album as returned by the API.
+ */
+function replaceAdminGalleryAlbum(album) {
+    adminGalleryAlbums = adminGalleryAlbums.map(existing => existing.id === album.id ? album : existing);
+    const item = document.querySelector(`.gallery-admin-album[data-album-id="${CSS.escape(album.id)}"]`);
+    if (item) item.outerHTML = renderAdminGalleryAlbum(album);
+}
+
+/**
+ * Sends a change to an album or one of its photos and redraws the album.
+ * If the change is refused, the album is redrawn as it was, undoing the edit.
+ * @param {object} album - The album being changed.
+ * @param {string} url - The album or photo endpoint.
+ * @param {object} options - Options passed through to adminFetchJson().
+ * @returns {Promise<boolean>} Whether the change was saved.
+ */
+async function updateAdminGalleryAlbum(album, url, options) {
+    try {
+        const result = await adminFetchJson(url, options);
+        replaceAdminGalleryAlbum(result.album);
+        return true;
+    } catch (error) {
+        replaceAdminGalleryAlbum(album);
+        // The album's fields aren't in a form, so list the messages instead
+        if (error.errors) {
+            showGlobalMessage(`Error: ${Object.values(error.errors).join(' ')}`, 'error', 5000);
+        } else {
+            showApiError(error);
+        }
+        return false;
+    }
+}
+
+/**
+ * Moves an album up or down the gallery and saves the new order.
+ * @param {string} albumId - The album's id.
+ * @param {number} offset - -1 to move it up, 1 to move it down.
+ */
+async function moveAdminGalleryAlbum(albumId, offset) {
+    const index = adminGalleryAlbums.findIndex(album => album.id === albumId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= adminGalleryAlbums.length) return;
+    const albums = [...adminGalleryAlbums];
+    [albums[index], albums[target]] = [albums[target], albums[index]];
+    try {
+        await adminFetchJson(`${GALLERY_ALBUMS_API_URL}/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ albumIds: albums.map(album => album.id) })
+        });
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+    adminGalleryAlbums = albums;
+    document.getElementById('galleryAlbumList').innerHTML = albums.map(renderAdminGalleryAlbum).join('');
+}
+
+/**
+ * Moves a photo earlier or later in its album and saves the new order.
+ * @param {object} album - The photo's album.
+ * @param {string} photoId - The photo's id.
+ * @param {number} offset - -1 to move it earlier, 1 to move it later.
+ */
+function moveAdminGalleryPhoto(album, photoId, offset) {
+    const photoIds = album.photos.map(photo => photo.id);
+    const index = photoIds.indexOf(photoId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= photoIds.length) return;
+    [photoIds[index], photoIds[target]] = [photoIds[target], photoIds[index]];
+    updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}/photos/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ photoIds })
+    });
+}
+
+/**
+ * Uploads the photos chosen for an album. Resizing takes the server a moment
+ * per photo, so the upload gets a longer timeout than other requests.
+ * @param {object} album - The album to add the photos to.
+ * @param {HTMLInputElement} input - The album's file input.
+ */
+async function uploadAdminGalleryPhotos(album, input) {
+    const formData = new FormData();
+    Array.from(input.files).forEach(file => formData.append('photos', file));
+    input.disabled = true;
+    showGlobalMessage(`Uploading ${input.files.length} photo(s)...`, 'success');
+    const saved = await updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}/photos`, {
+        method: 'POST',
+        body: formData,
+        timeout: 120000
+    });
+    if (saved) showGlobalMessage('Photos added.', 'success');
+}
+
+/**
+ * Deletes an album and its photos.
+ * @param {string} albumId - The album's id.
+ */
+async function deleteAdminGalleryAlbum(albumId) {
+    try {
+        await adminFetchJson(`${GALLERY_ALBUMS_API_URL}/${albumId}`, { method: 'DELETE' });
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+    showGlobalMessage('Album deleted.', 'success');
+    renderAdminGallery();
+}
+
+/**
+ * Wires up the gallery card: creating albums, and editing, publishing,
+ * ordering and deleting albums and photos.
+ */
+function setupAdminGallery() {
+    const form = document.getElementById('galleryAlbumForm');
+    const list = document.getElementById('galleryAlbumList');
+    if (!form || !list) return;
+
+    form.elements.category.innerHTML = Object.entries(GALLERY_CATEGORY_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        clearFieldErrors(form);
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            await adminFetchJson(GALLERY_ALBUMS_API_URL, {
+                method: 'POST',
+                body: JSON.stringify(Object.fromEntries(new FormData(form)))
+            });
+            form.reset();
+            showGlobalMessage('Album created. Add photos, then publish it.', 'success', 5000);
+            renderAdminGallery();
+        } catch (error) {
+            if (!error.errors || !showFieldErrors(form, error.errors)) showApiError(error);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    const findAlbum = (element) => {
+        const item = element.closest('.gallery-admin-album');
+        return item && adminGalleryAlbums.find(album => album.id === item.dataset.albumId);
+    };
+
+    list.addEventListener('change', (e) => {
+        const album = findAlbum(e.target);
+        if (!album) return;
+        if (e.target.dataset.albumField) {
+            updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ [e.target.dataset.albumField]: e.target.value })
+            });
+        } else if (e.target.dataset.photoField) {
+            const photoId = e.target.closest('.gallery-admin-photo').dataset.photoId;
+            updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}/photos/${photoId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ [e.target.dataset.photoField]: e.target.value })
+            });
+        } else if (e.target.matches('[data-photo-upload]') && e.target.files.length) {
+            uploadAdminGalleryPhotos(album, e.target);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const album = button && findAlbum(button);
+        if (!album) return;
+        const photoItem = button.closest('.gallery-admin-photo');
+        const photoId = photoItem && photoItem.dataset.photoId;
+
+        switch (button.dataset.action) {
+            case 'publish':
+                updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ status: album.status === 'published' ? 'draft' : 'published' })
+                });
+                break;
+            case 'move-album':
+                moveAdminGalleryAlbum(album.id, Number(button.dataset.offset));
+                break;
+            case 'delete-album':
+                deleteAdminGalleryAlbum(album.id);
+                break;
+            case 'move-photo':
+                moveAdminGalleryPhoto(album, photoId, Number(button.dataset.offset));
+                break;
+            case 'delete-photo':
+                updateAdminGalleryAlbum(album, `${GALLERY_ALBUMS_API_URL}/${album.id}/photos/${photoId}`, { method: 'DELETE' });
+                break;
+        }
+    });
+}
+
+// --- Clients (Admin) ---
+// Edited in place like the gallery: fields are saved as soon as they change.
+
+const CLIENTS_API_URL = `${API_BASE_URL}/clients`;
+
+let adminClients = []; // In display order
+
+/**
+ * Renders a client in the admin client list: their logo, details, whether
+ * they are shown on the website, and the controls for ordering and deleting.
+ * @param {object} client - The client.
+ * @returns {string} The list item's HTML.
+ */
+function renderAdminClient(client) {
+    const industryOptions = JOB_INDUSTRIES.map(industry => `
+        <option value="${escapeHtml(industry)}" ${industry === client.industry ? 'selected' : ''}>${escapeHtml(industry)}</option>
+    `).join('');
+
+    return `
+        <li class="client-admin-item" data-client-id="${escapeHtml(client.id)}">
+            <img src="${escapeHtml(apiAssetUrl(client.logoUrl))}" alt="${escapeHtml(client.name)} logo" class="client-admin-logo" loading="lazy">
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-2 flex-1">
+                <input type="text" class="admin-input" data-client-field="name" value="${escapeHtml(client.name)}" maxlength="100" required aria-label="Client name">
+                <select class="admin-input" data-client-field="industry" aria-label="Industry">
+                    <option value="">Other industry</option>
+                    ${industryOptions}
+                </select>
+                <input type="url" class="admin-input" data-client-field="website" value="${escapeHtml(client.website || '')}" maxlength="300" placeholder="Website" aria-label="Website">
+                <label class="text-sm font-semibold md:col-span-3">
+                    Replace logo
+                    <input type="file" class="admin-input mt-1" data-logo-upload accept="image/jpeg,image/png,image/webp">
+                </label>
+            </div>
+            <div class="gallery-admin-actions">
+                <label class="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input type="checkbox" data-client-field="visible" ${client.visible ? 'checked' : ''}> Shown
+                </label>
+                <button type="button" data-action="move-client" data-offset="-1" aria-label="Move client up" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                <button type="button" data-action="move-client" data-offset="1" aria-label="Move client down" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                <button type="button" data-action="delete-client" class="delete-btn" aria-label="Delete client" title="Delete client"><i class="fas fa-trash-alt"></i></button>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Loads every client, hidden ones included, and renders them.
+ */
+async function renderAdminClients() {
+    const list = document.getElementById('clientList');
+    if (!list) return;
+
+    try {
+        adminClients = (await adminFetchJson(`${CLIENTS_API_URL}/all`)).clients;
+    } catch (error) {
+        console.error('Error loading clients:', error);
+        list.innerHTML = '<li class="text-center py-4">Could not load the clients. Please refresh the page.</li>';
+        return;
+    }
+
+    list.innerHTML = adminClients.length > 0
+        ? adminClients.map(renderAdminClient).join('')
+        : '<li class="text-center py-4">No clients yet. Add one above!</li>';
+}
+
+/**
+ * Redraws a client after the server returned its new state.
+ * @param {object} client - The client as returned by the API.
+ */
+function replaceAdminClient(client) {
+    adminClients = adminClients.map(existing => existing.id === client.id ? client : existing);
+    const item = document.querySelector(`.client-admin-item[data-client-id="${CSS.escape(client.id)}"]`);
+    if (item) item.outerHTML = renderAdminClient(client);
+}
+
+/**
+ * Sends a change to a client and redraws it. If the change is refused, the
+ * client is redrawn as it was, undoing the edit.
+ * @param {object} client - The client being changed.
+ * @param {string} url - The client or logo endpoint.
+ * @param {object} options - Options passed through to adminFetchJson().
+ * @returns {Promise<boolean>} Whether the change was saved.
+ */
+async function updateAdminClient(client, url, options) {
+    try {
+        const result = await adminFetchJson(url, options);
+        replaceAdminClient(result.client);
+        return true;
+    } catch (error) {
+        replaceAdminClient(client);
+        if (error.errors) {
+            showGlobalMessage(`Error: ${Object.values(error.errors).join(' ')}`, 'error', 5000);
+        } else {
+            showApiError(error);
+        }
+        return false;
+    }
+}
+
+/**
+ * Moves a client up or down the list and saves the new order.
+ * @param {string} clientId - The client's id.
+ * @param {number} offset - -1 to move it up, 1 to move it down.
+ */
+async function moveAdminClient(clientId, offset) {
+    const index = adminClients.findIndex(client => client.id === clientId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= adminClients.length) return;
+    const clients = [...adminClients];
+    [clients[index], clients[target]] = [clients[target], clients[index]];
+    try {
+        await adminFetchJson(`${CLIENTS_API_URL}/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ clientIds: clients.map(client => client.id) })
+        });
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+    adminClients = clients;
+    document.getElementById('clientList').innerHTML = clients.map(renderAdminClient).join('');
+}
+
+/**
+ * Uploads the logo chosen to replace a client's current one.
+ * @param {object} client - The client.
+ * @param {HTMLInputElement} input - The client's file input.
+ */
+async function replaceAdminClientLogo(client, input) {
+    const formData = new FormData();
+    formData.append('logo', input.files[0]);
+    input.disabled = true;
+    const saved = await updateAdminClient(client, `${CLIENTS_API_URL}/${client.id}/logo`, {
+        method: 'PUT',
+        body: formData
+    });
+    if (saved) showGlobalMessage('Logo replaced.', 'success');
+}
+
+/**
+ * Deletes a client and their logo.
+ * @param {string} clientId - The client's id.
+ */
+async function deleteAdminClient(clientId) {
+    try {
+        await adminFetchJson(`${CLIENTS_API_URL}/${clientId}`, { method: 'DELETE' });
+    } catch (error) {
+        showApiError(error);
+        return;
+    }
+    showGlobalMessage('Client deleted.', 'success');
+    renderAdminClients();
+}
+
+/**
+ * Wires up the clients card: adding clients with their logo, and editing,
+ * showing or hiding, ordering and deleting them.
+ */
+function setupAdminClients() {
+    const form = document.getElementById('clientForm');
+    const list = document.getElementById('clientList');
+    if (!form || !list) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        clearFieldErrors(form);
+        const formData = new FormData(form);
+        formData.set('visible', String(form.elements.visible.checked));
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            await adminFetchJson(CLIENTS_API_URL, { method: 'POST', body: formData });
+            form.reset();
+            showGlobalMessage('Client added.', 'success');
+            renderAdminClients();
+        } catch (error) {
+            if (!error.errors || !showFieldErrors(form, error.errors)) showApiError(error);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    const findClient = (element) => {
+        const item = element.closest('.client-admin-item');
+        return item && adminClients.find(client => client.id === item.dataset.clientId);
+    };
+
+    list.addEventListener('change', (e) => {
+        const client = findClient(e.target);
+        if (!client) return;
+        const field = e.target.dataset.clientField;
+        if (field) {
+            updateAdminClient(client, `${CLIENTS_API_URL}/${client.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value })
+            });
+        } else if (e.target.matches('[data-logo-upload]') && e.target.files.length) {
+            replaceAdminClientLogo(client, e.target);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const client = button && findClient(button);
+        if (!client) return;
+
+        switch (button.dataset.action) {
+            case 'move-client':
+                moveAdminClient(client.id, Number(button.dataset.offset));
+                break;
+            case 'delete-client':
+                deleteAdminClient(client.id);
+                break;
+        }
+    });
+}
+
+// --- Job Seeker Page Functionality ---
+
+const JOBS_PER_PAGE = 10;
+// Job feeds are served next to the API rather than under /api
+const JOB_FEEDS_BASE_URL = API_BASE_URL.replace(/\/api$/, '');
+const JOB_APPLICATION_API_URL = `${API_BASE_URL}/job-application`;
+
+let selectedJob = null; // The job shown in the job details modal
+
+/**
+ * Formats a date from the API for display, e.g. "5 Mar 2025".
+ * @param {string} value - An ISO date string.
+ * @returns {string} The formatted date, or an empty string if missing.
+ */
+function formatJobDate(value) {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+const EMPLOYMENT_TYPE_LABELS = {
+    permanent: 'Permanent',
+    contract: 'Contract'
+};
+
+/**
+ * Formats a numeric range such as an experience or CTC range.
+ * @param {number} min - The lower bound, if any.
+ * @param {number} max - The upper bound, if any.
+ * @returns {string} e.g. "2-5", "3+" or "Up to 4", or an empty string if neither is set.
+ */
+function formatJobRange(min, max) {
+    const hasMin = min !== null && min !== undefined;
+    const hasMax = max !== null && max !== undefined;
+    if (hasMin && hasMax) return min === max ? `${min}` : `${min}-${max}`;
+    if (hasMin) return `${min}+`;
+    if (hasMax) return `Up to ${max}`;
+    return '';
+}
+
+/**
+ * Lists the key facts of a job for cards and lists: employment type,
+ * experience, CTC and openings, leaving out anything not set.
+ * @param {object} job - The job listing.
+ * @returns {string[]} Short descriptions, e.g. ["Contract", "2-5 yrs", "₹6-9 LPA", "3 openings"].
+ */
+function getJobHighlights(job) {
+    const experience = formatJobRange(job.experienceMin, job.experienceMax);
+    const salary = formatJobRange(job.salaryMin, job.salaryMax);
+    return [
+        EMPLOYMENT_TYPE_LABELS[job.employmentType] || '',
+        experience ? `${experience} yrs` : '',
+        salary ? `₹${salary} LPA` : '',
+        job.openings > 1 ? `${job.openings} openings` : ''
+    ].filter(Boolean);
+}
+
+/**
+ * Reads the current job search from the page URL, so searches can be bookmarked.
+ * @returns {object} The search: q, location, industry and page.
+ */
+function getJobSearchFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        q: params.get('q') || '',
+        location: params.get('location') || '',
+        industry: params.get('industry') || '',
+        page: Math.max(parseInt(params.get('page'), 10) || 1, 1)
+    };
+}
+
+/**
+ * Builds the query string for a job search, leaving out empty values.
+ * @param {object} search - The search: q, location, industry and page.
+ * @returns {string} The query string, without a leading "?".
+ */
+function buildJobSearchQuery(search) {
+    const params = new URLSearchParams();
+    ['q', 'location', 'industry'].forEach(key => {
+        if (search[key]) params.set(key, search[key]);
+    });
+    if (search.page > 1) params.set('page', search.page);
+    return params.toString();
+}
+
+/**
+ * Builds the markup for a job card in the search results.
+ * @param {object} job - The job listing.
+ * @returns {string} The card HTML.
+ */
+function renderJobCard(job) {
+    const summary = (job.description || '').split('\n')[0];
+    const highlights = getJobHighlights(job);
+    return `
+        <div class="job-card relative bg-gradient-to-br from-white via-gray-50 to-green-50 rounded-2xl shadow-lg p-8 transition-transform transform hover:scale-105 hover:shadow-2xl border border-green-200 flex flex-col items-start cursor-pointer overflow-hidden group" data-job-id="${escapeHtml(job.id)}" tabindex="0" role="button">
+            <div class="absolute top-0 left-0 w-full h-2 bg-gradient-to-r from-green-400 to-blue-500 rounded-t-2xl"></div>
+            <div class="text-4xl mb-3 text-primary-color transition-transform duration-300 group-hover:animate-bounce"><i class="fas fa-briefcase"></i></div>
+            <h3 class="text-2xl font-semibold mb-1 text-primary-color">${escapeHtml(job.title)}</h3>
+            <p class="text-gray-600 mb-2"><i class="fas fa-building mr-1"></i> ${escapeHtml(job.company)} &middot; <i class="fas fa-map-marker-alt mr-1"></i> ${escapeHtml(job.location)}</p>
+            ${highlights.length ? `<ul class="job-highlights mb-2">${highlights.map(highlight => `<li>${escapeHtml(highlight)}</li>`).join('')}</ul>` : ''}
+            ${summary ? `<p class="text-gray-600 mb-2 italic">${escapeHtml(summary)}</p>` : ''}
+            <p class="text-gray-500 text-sm mt-auto">Posted ${escapeHtml(formatJobDate(job.postedDate))}${job.expiresAt ? ` &middot; Closes ${escapeHtml(formatJobDate(job.expiresAt))}` : ''}</p>
+        </div>
+    `;
+}
+
+/**
+ * Opens the job details modal for a job.
+ * @param {object} job - The job listing.
+ */
+function openJobModal(job) {
+    const modal = document.getElementById('jobModal');
+    if (!modal) return;
+
+    const meta = [job.company, job.location, job.industry, ...getJobHighlights(job)].filter(Boolean).join(' · ');
+    document.getElementById('jobModalTitle').textContent = job.title;
+    document.getElementById('jobModalMeta').textContent = meta;
+    document.getElementById('jobModalDescription').textContent = job.description || '';
+    const jobLink = document.getElementById('jobModalLink');
+    if (jobLink) {
+        jobLink.href = job.url || '#';
+        jobLink.classList.toggle('hidden', !job.url);
+    }
+    selectedJob = job;
+    modal.classList.remove('hidden');
+    modal.querySelector('.job-modal-close').focus();
+}
+
+/**
+ * Closes the job details modal.
+ */
+function closeJobModal() {
+    const modal = document.getElementById('jobModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+/**
+ * Opens the application form for a job.
+ * @param {object} job - The job listing being applied for.
+ */
+function openApplicationModal(job) {
+    const modal = document.getElementById('applicationModal');
+    const form = document.getElementById('jobApplicationForm');
+    if (!modal || !form) return;
+
+    form.reset();
+    form.classList.remove('hidden');
+    document.getElementById('applicationConfirmation').classList.add('hidden');
+    document.getElementById('applicationJobId').value = job.id;
+    document.getElementById('applicationStartedAt').value = Date.now();
+    document.getElementById('applicationModalTitle').textContent = `Apply for ${job.title}`;
+    document.getElementById('applicationJobSummary').textContent = [job.company, job.location].filter(Boolean).join(' · ');
+    modal.classList.remove('hidden');
+    document.getElementById('applicantName').focus();
+}
+
+/**
+ * Closes the application form.
+ */
+function closeApplicationModal() {
+    const modal = document.getElementById('applicationModal');
+    if (modal) modal.classList.add('hidden');
+}
+
+/**
+ * Submits the job application form to the backend, resume included, and
+ * shows the candidate their application reference number.
+ */
+function setupJobApplicationForm() {
+    const form = document.getElementById('jobApplicationForm');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!form.checkValidity()) {
+            form.reportValidity();
+            return;
+        }
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        const originalButtonHtml = submitButton.innerHTML;
+        submitButton.disabled = true;
+        submitButton.textContent = 'Submitting...';
+        clearFieldErrors(form);
+
+        try {
+            const result = await submitForm(JOB_APPLICATION_API_URL, new FormData(form), 'application');
+            if (result.queued) {
+                form.reset();
+                closeApplicationModal();
+                return;
+            }
+            form.classList.add('hidden');
+            document.getElementById('applicationReference').textContent = result.referenceNumber;
+            document.getElementById('applicationConfirmation').classList.remove('hidden');
+            showGlobalMessage('Your application has been submitted!', 'success');
+        } catch (error) {
+            console.error('Job application error:', error);
+            if (error.errors) showFieldErrors(form, error.errors);
+            showApiError(error, 'Could not submit your application. Please try again.');
+        } finally {
+            submitButton.disabled = false;
+            submitButton.innerHTML = originalButtonHtml;
+        }
+    });
+}
+
+/**
+ * Renders the page links below the job results.
+ * @param {object} result - The search response from the API.
+ * @param {object} search - The search that produced it.
+ * @param {function} onPageChange - Called with the new page number.
+ */
+function renderJobPagination(result, search, onPageChange) {
+    const pagination = document.getElementById('jobPagination');
+    if (!pagination) return;
+
+    if (result.pages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    const pageLink = (page, label, disabled) => disabled
+        ? `<span class="px-4 py-2 rounded-full text-gray-400">${label}</span>`
+        : `<a href="?${escapeHtml(buildJobSearchQuery({ ...search, page }))}" data-page="${page}" class="px-4 py-2 rounded-full bg-white shadow hover:text-primary-color">${label}</a>`;
+
+    pagination.innerHTML = `
+        ${pageLink(result.page - 1, '&laquo; Previous', result.page <= 1)}
+        <span class="text-gray-600">Page ${result.page} of ${result.pages}</span>
+        ${pageLink(result.page + 1, 'Next &raquo;', result.page >= result.pages)}
+    `;
+
+    pagination.querySelectorAll('a[data-page]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            onPageChange(parseInt(link.dataset.page, 10));
+        });
+    });
+}
+
+/**
+ * Points the RSS and Atom links at feeds narrowed to the current search's
+ * industry and location. Feeds don't take keywords, so those are left out.
+ * @param {object} search - The search: q, location, industry and page.
+ */
+function updateJobFeedLinks(search) {
+    const params = new URLSearchParams();
+    if (search.industry) params.set('industry', search.industry);
+    if (search.location) params.set('location', search.location);
+    const query = params.toString() ? `?${params}` : '';
+    const rssLink = document.getElementById('jobFeedRssLink');
+    const atomLink = document.getElementById('jobFeedAtomLink');
+    if (rssLink) rssLink.href = `${JOB_FEEDS_BASE_URL}/jobs.rss${query}`;
+    if (atomLink) atomLink.href = `${JOB_FEEDS_BASE_URL}/jobs.atom${query}`;
+}
+
+/**
+ * Fetches and renders job search results.
+ * @param {object} search - The search: q, location, industry and page.
+ */
+async function runJobSearch(search) {
+    const resultsContainer = document.getElementById('jobResults');
+    const summary = document.getElementById('jobResultsSummary');
+    if (!resultsContainer) return;
+
+    summary.textContent = 'Loading openings...';
+    updateJobFeedLinks(search);
+
+    const params = new URLSearchParams(buildJobSearchQuery(search));
+    params.set('limit', JOBS_PER_PAGE);
+
+    let result;
+    try {
+        result = await fetchJson(`${JOBS_API_URL}/search?${params}`);
+    } catch (error) {
+        console.error('Job search error:', error);
+        summary.textContent = '';
+        resultsContainer.innerHTML = '<p class="md:col-span-2 text-center py-4">Could not load job openings. Please try again later.</p>';
+        showGlobalMessage('Could not load job openings.', 'error');
+        return;
+    }
+
+    const isFiltered = Boolean(search.q || search.location || search.industry);
+    summary.textContent = result.total === 0
+        ? ''
+        : `${result.total} opening${result.total === 1 ? '' : 's'}${isFiltered ? ' match your search' : ''}`;
+
+    if (result.jobs.length === 0) {
+        resultsContainer.innerHTML = isFiltered
+            ? '<p class="md:col-span-2 text-center py-4">No openings match your search. Try different keywords or clear the filters.</p>'
+            : '<p class="md:col-span-2 text-center py-4">There are no openings right now. Please check back soon!</p>';
+    } else {
+        resultsContainer.innerHTML = result.jobs.map(renderJobCard).join('');
+    }
+
+    const jobsById = new Map(result.jobs.map(job => [job.id, job]));
+    resultsContainer.querySelectorAll('.job-card').forEach(card => {
+        const open = () => openJobModal(jobsById.get(card.dataset.jobId));
+        card.addEventListener('click', open);
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open();
+            }
+        });
+    });
+
+    renderJobPagination(result, search, (page) => {
+        const nextSearch = { ...search, page };
+        history.pushState(null, '', `?${buildJobSearchQuery(nextSearch)}`);
+        runJobSearch(nextSearch);
+        resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Opens the application form for the job named in the page URL (?job=<id>),
+ * which is where the Apply button on a job's detail page leads.
+ */
+async function openLinkedJob() {
+    const jobId = new URLSearchParams(window.location.search).get('job');
+    if (!jobId) return;
+
+    try {
+        const result = await fetchJson(`${JOBS_API_URL}/${encodeURIComponent(jobId)}`);
+        openApplicationModal(result.job);
+    } catch (error) {
+        showGlobalMessage(error.status === 404 ? 'That job is no longer open. Have a look at our other openings.' : 'Could not load the job.', 'error', 5000);
+    }
+}
+
+// --- Job Alerts Page ---
+
+const JOB_ALERTS_API_URL = `${API_BASE_URL}/job-alerts`;
+
+/**
+ * Adds a checkbox for each of JOB_INDUSTRIES to the job alerts form.
+ * @param {HTMLElement} container - The element to add the checkboxes to.
+ */
+function renderJobAlertIndustries(container) {
+    container.innerHTML = JOB_INDUSTRIES.map(industry => `
+        <label class="flex items-center gap-2 text-gray-700">
+            <input type="checkbox" name="industries" value="${escapeHtml(industry)}"> ${escapeHtml(industry)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Fills the job alerts form in from saved preferences.
+ * @param {HTMLFormElement} form - The job alerts form.
+ * @param {object} jobAlerts - Preferences as returned by the API.
+ */
+function fillJobAlertsForm(form, jobAlerts) {
+    form.querySelectorAll('input[name="frequency"]').forEach(radio => {
+        radio.checked = radio.value === jobAlerts.frequency;
+    });
+    form.elements.keywords.value = jobAlerts.keywords.join(', ');
+    form.elements.locations.value = jobAlerts.locations.join(', ');
+    form.querySelectorAll('input[name="industries"]').forEach(checkbox => {
+        checkbox.checked = jobAlerts.industries.includes(checkbox.value);
+    });
+}
+
+/**
+ * Loads and saves a subscriber's job alert preferences. The page is opened
+ * from the signed link in our emails, which carries the email address and
+ * its signature in the query string.
+ */
+async function setupJobAlerts() {
+    const form = document.getElementById('jobAlertsForm');
+    const status = document.getElementById('jobAlertsEmail');
+    if (!form || !status) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const credentials = { email: params.get('email') || '', sig: params.get('sig') || '' };
+    if (!credentials.email || !credentials.sig) {
+        status.textContent = 'Please open this page from the "manage your job alerts" link in one of our emails.';
+        return;
+    }
+
+    renderJobAlertIndustries(document.getElementById('jobAlertIndustries'));
+    try {
+        const { jobAlerts } = await fetchJson(`${JOB_ALERTS_API_URL}?${new URLSearchParams(credentials)}`);
+        fillJobAlertsForm(form, jobAlerts);
+        status.textContent = `Job alerts for ${jobAlerts.email}`;
+        form.classList.remove('hidden');
+    } catch (err) {
+        status.textContent = err.status === 403 || err.status === 404 ? err.message : 'Could not load your preferences. Please try again later.';
+        return;
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const frequency = form.querySelector('input[name="frequency"]:checked');
+        const btn = form.querySelector('button[type="submit"]');
+        clearFieldErrors(form);
+        btn.disabled = true;
+        try {
+            const result = await fetchJson(JOB_ALERTS_API_URL, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    ...credentials,
+                    frequency: frequency ? frequency.value : '',
+                    keywords: form.elements.keywords.value,
+                    locations: form.elements.locations.value,
+                    industries: Array.from(form.querySelectorAll('input[name="industries"]:checked'), checkbox => checkbox.value)
+                })
+            });
+            fillJobAlertsForm(form, result.jobAlerts);
+            showGlobalMessage(result.message, 'success', 5000);
+        } catch (err) {
+            if (!err.errors || !showFieldErrors(form, err.errors)) {
+                showApiError(err, 'Could not save your preferences. Please try again.');
+            }
+        }
+        btn.disabled = false;
+    });
+}
+
+// --- Gallery Page ---
+
+const GALLERY_API_URL = `${API_BASE_URL}/gallery`;
+// Keep in step with GALLERY_CATEGORIES in server.js
+const GALLERY_CATEGORY_LABELS = {
+    events: 'Events',
+    training: 'Training Batches',
+    office: 'Office'
+};
+
+/**
+ * Renders one published album: its title, category, description and a grid
+ * of photo thumbnails, each linking to the full-size photo.
+ * @param {object} album - The album.
+ * @returns {string} The album's HTML.
+ */
+function renderGalleryAlbum(album) {
+    const photos = album.photos.map(photo => `
+        <figure class="gallery-photo overflow-hidden rounded-xl shadow-lg bg-white p-2">
+            <a href="${escapeHtml(apiAssetUrl(photo.url))}" data-photo-id="${escapeHtml(photo.id)}">
+                <img src="${escapeHtml(apiAssetUrl(photo.thumbnailUrl))}" alt="${escapeHtml(photo.caption || album.title)}" class="gallery-img w-full h-48 object-cover rounded-lg" loading="lazy" width="480" height="360">
+            </a>
+            ${photo.caption ? `<figcaption class="text-sm text-gray-600 mt-2 px-1">${escapeHtml(photo.caption)}</figcaption>` : ''}
+        </figure>
+    `).join('');
+
+    return `
+        <section class="gallery-album mb-12" data-album-id="${escapeHtml(album.id)}">
+            <div class="mb-6">
+                <span class="text-sm font-semibold uppercase tracking-wide text-primary-color">${escapeHtml(GALLERY_CATEGORY_LABELS[album.category] || album.category)}</span>
+                <h3 class="text-2xl font-bold text-gray-800">${escapeHtml(album.title)}</h3>
+                ${album.description ? `<p class="text-gray-600 mt-2 whitespace-pre-line">${escapeHtml(album.description)}</p>` : ''}
+            </div>
+            <div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">${photos}</div>
+        </section>
+    `;
+}
+
+/**
+ * Loads the published albums from the server and shows them on gallery.html,
+ * opening the lightbox on the photo named in the URL hash, if any.
+ */
+async function renderGallery() {
+    const container = document.getElementById('galleryAlbums');
+    if (!container) return;
+
+    let albums;
+    try {
+        albums = (await fetchJson(GALLERY_API_URL)).albums;
+    } catch (error) {
+        console.error('Error loading the gallery:', error);
+        container.setAttribute('aria-busy', 'false');
+        container.innerHTML = `<p class="text-center text-gray-600 py-8">${escapeHtml(apiErrorMessage(error, 'Could not load the gallery. Please try again later.'))}</p>`;
+        return;
+    }
+
+    galleryAlbums = albums;
+    container.innerHTML = albums.length > 0
+        ? albums.map(renderGalleryAlbum).join('')
+        : '<p class="text-center text-gray-600 py-8">Photos from our events, training batches and office are coming soon.</p>';
+    container.setAttribute('aria-busy', 'false');
+    openGalleryPhotoFromHash();
+}
+
+// --- Gallery Lightbox ---
+
+// The open photo is kept in the URL as #photo-<id>, so it can be shared
+const GALLERY_PHOTO_HASH_PREFIX = '#photo-';
+
+let galleryAlbums = [];
+// The album and index of the photo in the lightbox, or null while it is closed
+let galleryLightbox = null;
+
+/**
+ * Finds a published photo by id.
+ * @param {string} photoId - The photo's id.
+ * @returns {{album: object, index: number}|null} Its album and position, or null if there is no such photo.
+ */
+function findGalleryPhoto(photoId) {
+    for (const album of galleryAlbums) {
+        const index = album.photos.findIndex(photo => photo.id === photoId);
+        if (index !== -1) return { album, index };
+    }
+    return null;
+}
+
+/**
+ * Puts the open photo in the URL hash, or takes it out, without adding a
+ * history entry for every photo viewed.
+ * @param {string|null} photoId - The open photo, or null to clear the hash.
+ */
+function setGalleryPhotoHash(photoId) {
+    const url = photoId
+        ? `${GALLERY_PHOTO_HASH_PREFIX}${encodeURIComponent(photoId)}`
+        : window.location.pathname + window.location.search;
+    history.replaceState(null, '', url);
+}
+
+/**
+ * Shows the current photo of galleryLightbox with its caption, and preloads
+ * the photos either side of it so previous/next are instant.
+ */
+function showGalleryLightboxPhoto() {
+    const { album, index } = galleryLightbox;
+    const photo = album.photos[index];
+    const image = document.getElementById('galleryLightboxImage');
+    image.src = apiAssetUrl(photo.url);
+    image.alt = photo.caption || album.title;
+    if (photo.width && photo.height) {
+        image.width = photo.width;
+        image.height = photo.height;
+    }
+    document.getElementById('galleryLightboxCaption').textContent = photo.caption || '';
+    document.getElementById('galleryLightboxCounter').textContent = `${index + 1} / ${album.photos.length} · ${album.title}`;
+
+    const single = album.photos.length < 2;
+    document.querySelectorAll('#galleryLightbox [data-lightbox-step]').forEach(button => {
+        button.classList.toggle('hidden', single);
+    });
+    if (!single) {
+        [-1, 1].forEach(step => {
+            const neighbour = album.photos[(index + step + album.photos.length) % album.photos.length];
+            new Image().src = apiAssetUrl(neighbour.url);
+        });
+    }
+    setGalleryPhotoHash(photo.id);
+}
+
+/**
+ * Opens the lightbox on a photo.
+ * @param {string} photoId - The photo to show.
+ * @returns {boolean} Whether the photo was found.
+ */
+function openGalleryLightbox(photoId) {
+    const lightbox = document.getElementById('galleryLightbox');
+    const found = findGalleryPhoto(photoId);
+    if (!lightbox || !found) return false;
+
+    const opening = !galleryLightbox;
+    galleryLightbox = found;
+    showGalleryLightboxPhoto();
+    if (opening) {
+        lightbox.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        lightbox.querySelector('[data-lightbox-close]').focus();
+    }
+    return true;
+}
+
+/**
+ * Closes the lightbox and returns focus to the photo it was showing.
+ */
+function closeGalleryLightbox() {
+    const lightbox = document.getElementById('galleryLightbox');
+    if (!lightbox || !galleryLightbox) return;
+
+    const photoId = galleryLightbox.album.photos[galleryLightbox.index].id;
+    galleryLightbox = null;
+    lightbox.classList.add('hidden');
+    document.getElementById('galleryLightboxImage').removeAttribute('src');
+    document.body.style.overflow = '';
+    setGalleryPhotoHash(null);
+    const link = document.querySelector(`#galleryAlbums a[data-photo-id="${CSS.escape(photoId)}"]`);
+    if (link) link.focus();
+}
+
+/**
+ * Moves to the previous or next photo of the album, wrapping around at either end.
+ * @param {number} step - -1 for the previous photo, 1 for the next.
+ */
+function stepGalleryLightbox(step) {
+    if (!galleryLightbox) return;
+    const count = galleryLightbox.album.photos.length;
+    if (count < 2) return;
+    galleryLightbox.index = (galleryLightbox.index + step + count) % count;
+    showGalleryLightboxPhoto();
+}
+
+/**
+ * Opens the photo named in the URL hash, if any, or closes the lightbox when
+ * the hash no longer names one.
+ */
+function openGalleryPhotoFromHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith(GALLERY_PHOTO_HASH_PREFIX)) {
+        closeGalleryLightbox();
+        return;
+    }
+    const photoId = decodeURIComponent(hash.slice(GALLERY_PHOTO_HASH_PREFIX.length));
+    if (!openGalleryLightbox(photoId)) {
+        closeGalleryLightbox();
+        setGalleryPhotoHash(null);
+    }
+}
+
+/**
+ * Opens photos clicked on gallery.html in the lightbox, and sets up its
+ * buttons, arrow keys, Escape and swipe navigation.
+ */
+function setupGalleryLightbox() {
+    const container = document.getElementById('galleryAlbums');
+    const lightbox = document.getElementById('galleryLightbox');
+    if (!container || !lightbox) return;
+
+    container.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-photo-id]');
+        // Let modified clicks open the full-size photo in a new tab as usual
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+        if (openGalleryLightbox(link.dataset.photoId)) e.preventDefault();
+    });
+
+    lightbox.querySelector('[data-lightbox-close]').addEventListener('click', closeGalleryLightbox);
+    lightbox.querySelectorAll('[data-lightbox-step]').forEach(button => {
+        button.addEventListener('click', () => stepGalleryLightbox(Number(button.dataset.lightboxStep)));
+    });
+    lightbox.addEventListener('click', (e) => {
+        if (e.target === lightbox) closeGalleryLightbox();
+    });
 
-        saveJobsToLocalStorage(jobs);
-        showGlobalMessage(message, 'success');
-        jobPostForm.reset(); // Clear form
-        jobIdInput.value = ''; // Clear ID for next new job
-        jobFormSubmitBtn.textContent = 'Post Job';
-        jobFormClearBtn.style.display = 'none';
-        renderAdminJobListings(); // Re-render the list
+    document.addEventListener('keydown', (e) => {
+        if (!galleryLightbox) return;
+        if (e.key === 'Escape') closeGalleryLightbox();
+        else if (e.key === 'ArrowLeft') stepGalleryLightbox(-1);
+        else if (e.key === 'ArrowRight') stepGalleryLightbox(1);
     });
 
-    jobFormClearBtn.addEventListener('click', () => {
-        jobPostForm.reset();
-        jobIdInput.value = '';
-        jobFormSubmitBtn.textContent = 'Post Job';
-        jobFormClearBtn.style.display = 'none';
-        showGlobalMessage('Form cleared.', 'success');
+    let touchStartX = 0;
+    lightbox.addEventListener('touchstart', (e) => {
+        touchStartX = e.changedTouches[0].screenX;
+    });
+    lightbox.addEventListener('touchend', (e) => {
+        const swipeDistance = e.changedTouches[0].screenX - touchStartX;
+        const swipeThreshold = 50;
+        if (swipeDistance > swipeThreshold) stepGalleryLightbox(-1);
+        if (swipeDistance < -swipeThreshold) stepGalleryLightbox(1);
     });
+
+    window.addEventListener('hashchange', openGalleryPhotoFromHash);
 }
 
+// --- Clients ---
+// The logo slider on index.html and the clients grid on industries_served.html
+// both show the visible clients from the API, in the order set in the admin panel.
+
+// Keeps the slider scrolling at the same speed however many logos it holds
+const LOGO_SLIDER_SECONDS_PER_LOGO = 1.5;
+
 /**
- * Populates the job form with data for editing.
- * @param {string} jobId - The ID of the job to edit.
+ * Renders a client's logo for the slider, linked to their website if they have one.
+ * @param {object} client - The client.
+ * @param {boolean} duplicate - Whether this is the second copy that lets the
+ *   slider loop; it is hidden from screen readers and the keyboard.
+ * @returns {string} The slide's HTML.
  */
-function editJob(jobId) {
-    const jobs = getJobsFromLocalStorage();
-    const jobToEdit = jobs.find(job => job.id === jobId);
-
-    if (jobToEdit) {
-        document.getElementById('jobId').value = jobToEdit.id;
-        document.getElementById('jobTitle').value = jobToEdit.title;
-        document.getElementById('jobCompany').value = jobToEdit.company;
-        document.getElementById('jobLocation').value = jobToEdit.location;
-        document.getElementById('jobDescription').value = jobToEdit.description;
-        document.getElementById('jobPostedDate').value = jobToEdit.postedDate;
-
-        document.getElementById('jobFormSubmitBtn').textContent = 'Update Job';
-        document.getElementById('jobFormClearBtn').style.display = 'inline-block';
-        showGlobalMessage(`Editing job: "${jobToEdit.title}"`, 'success', 2000);
-    } else {
-        showGlobalMessage('Job not found for editing.', 'error');
-    }
+function renderClientLogoSlide(client, duplicate) {
+    const logo = `<img src="${escapeHtml(apiAssetUrl(client.logoUrl))}" alt="${escapeHtml(client.name)} logo">`;
+    return `
+        <div class="logo-slider-item"${duplicate ? ' aria-hidden="true"' : ''}>
+            ${client.website ? `<a href="${escapeHtml(client.website)}" target="_blank" rel="noopener"${duplicate ? ' tabindex="-1"' : ''}>${logo}</a>` : logo}
+        </div>
+    `;
 }
 
 /**
- * Deletes a job listing.
- * @param {string} jobId - The ID of the job to delete.
+ * Fills the logo slider on index.html with the clients' logos and pauses it
+ * while the pointer is over it. The section stays hidden if there are no
+ * clients to show or they can't be loaded.
  */
-function deleteJob(jobId) {
-    let jobs = getJobsFromLocalStorage();
-    const originalLength = jobs.length;
-    jobs = jobs.filter(job => job.id !== jobId);
+async function setupLogoSlider() {
+    const slider = document.querySelector('.logo-slider');
+    if (!slider) return;
 
-    if (jobs.length < originalLength) {
-        saveJobsToLocalStorage(jobs);
-        renderAdminJobListings();
-        showGlobalMessage('Job listing deleted successfully!', 'success');
-    } else {
-        showGlobalMessage('Error: Job not found for deletion.', 'error');
+    // Pause animation on hover for better UX
+    slider.addEventListener('mouseenter', () => {
+        slider.style.animationPlayState = 'paused';
+    });
+    slider.addEventListener('mouseleave', () => {
+        slider.style.animationPlayState = 'running';
+    });
+
+    let clients;
+    try {
+        clients = (await fetchJson(CLIENTS_API_URL)).clients;
+    } catch (error) {
+        console.error('Error loading clients:', error);
+        return;
     }
+    if (clients.length === 0) return;
+
+    // Two copies, as @keyframes logo-scroll moves the slider by half its width and starts over
+    slider.innerHTML = clients.map(client => renderClientLogoSlide(client, false)).join('')
+        + clients.map(client => renderClientLogoSlide(client, true)).join('');
+    slider.style.animationDuration = `${clients.length * LOGO_SLIDER_SECONDS_PER_LOGO}s`;
+    slider.closest('.logo-slider-section').classList.remove('hidden');
 }
 
 /**
- * Handles admin login.
+ * Groups clients by industry, in the order of JOB_INDUSTRIES, with clients
+ * that have no industry last.
+ * @param {object[]} clients - The clients in display order.
+ * @returns {{label: string, clients: object[]}[]} The groups that have clients.
  */
-function setupAdminLogin() {
-    const adminLoginForm = document.getElementById('adminLoginForm');
-    const adminPasswordInput = document.getElementById('adminPassword');
-    const loginMessage = document.getElementById('loginMessage');
-    const adminLoginSection = document.getElementById('admin-login-section');
-    const jobManagementSection = document.getElementById('job-management-section');
-    const adminLogoutBtn = document.getElementById('adminLogoutBtn');
-
-    // Check session on page load
-    const isLoggedIn = localStorage.getItem('adminLoggedIn') === 'true';
-    if (isLoggedIn) {
-        if (adminLoginSection && jobManagementSection) {
-            adminLoginSection.style.display = 'none';
-            jobManagementSection.style.display = 'block';
-            renderAdminJobListings();
-        }
-    } else {
-        if (adminLoginSection) adminLoginSection.style.display = 'block';
-        if (jobManagementSection) jobManagementSection.style.display = 'none';
-    }
+function groupClientsByIndustry(clients) {
+    const groups = JOB_INDUSTRIES.map(industry => ({
+        label: industry,
+        clients: clients.filter(client => client.industry === industry)
+    }));
+    groups.push({
+        label: 'Other Industries',
+        clients: clients.filter(client => !JOB_INDUSTRIES.includes(client.industry))
+    });
+    return groups.filter(group => group.clients.length > 0);
+}
 
+/**
+ * Renders a client for the clients grid: their logo and name, linked to
+ * their website if they have one.
+ * @param {object} client - The client.
+ * @returns {string} The card's HTML.
+ */
+function renderClientCard(client) {
+    const content = `
+        <img src="${escapeHtml(apiAssetUrl(client.logoUrl))}" alt="" class="client-card-logo" loading="lazy">
+        <span class="font-medium mt-3">${escapeHtml(client.name)}</span>
+    `;
+    return `
+        <li class="client-card bg-white rounded-xl shadow-lg border-2 border-transparent hover:border-blue-400 transition-all duration-300">
+            ${client.website
+                ? `<a href="${escapeHtml(client.website)}" target="_blank" rel="noopener" class="flex flex-col items-center text-center p-4 h-full">${content}</a>`
+                : `<div class="flex flex-col items-center text-center p-4 h-full">${content}</div>`}
+        </li>
+    `;
+}
 
-    if (adminLoginForm) {
-        adminLoginForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            if (adminPasswordInput.value === ADMIN_PASSWORD) {
-                localStorage.setItem('adminLoggedIn', 'true');
-                if (adminLoginSection && jobManagementSection) {
-                    adminLoginSection.style.display = 'none';
-                    jobManagementSection.style.display = 'block';
-                    renderAdminJobListings();
-                    showGlobalMessage('Logged in successfully!', 'success');
-                }
-            } else {
-                loginMessage.textContent = 'Invalid password. Please try again.';
-                loginMessage.style.color = '#DC3545';
-                loginMessage.style.display = 'block';
-                showGlobalMessage('Login failed.', 'error');
-            }
-        });
-    }
+/**
+ * Shows the clients on industries_served.html, grouped by industry. The
+ * section stays hidden if there are no clients to show or they can't be loaded.
+ */
+async function renderIndustryClients() {
+    const container = document.getElementById('clientGroups');
+    if (!container) return;
 
-    if (adminLogoutBtn) {
-        adminLogoutBtn.addEventListener('click', () => {
-            localStorage.removeItem('adminLoggedIn');
-            if (adminLoginSection && jobManagementSection) {
-                adminLoginSection.style.display = 'block';
-                jobManagementSection.style.display = 'none';
-                adminPasswordInput.value = ''; // Clear password field
-                if (loginMessage) {
-                    loginMessage.style.display = 'none';
-                }
-                showGlobalMessage('Logged out successfully!', 'success');
-            }
-        });
+    let clients;
+    try {
+        clients = (await fetchJson(CLIENTS_API_URL)).clients;
+    } catch (error) {
+        console.error('Error loading clients:', error);
+        return;
     }
+    if (clients.length === 0) return;
+
+    container.innerHTML = groupClientsByIndustry(clients).map(group => `
+        <div class="mb-10">
+            <h3 class="text-2xl font-semibold mb-4 text-primary-color">${escapeHtml(group.label)}</h3>
+            <ul class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-6">${group.clients.map(renderClientCard).join('')}</ul>
+        </div>
+    `).join('');
+    container.setAttribute('aria-busy', 'false');
+    document.getElementById('clientsSection').classList.remove('hidden');
 }
 
 // --- Page Specific Initializations ---
 
 /**
- * Initializes functionality specific to the home.html page.
+ * Initializes functionality specific to the index.html page.
  */
 function initHomePage() {
-    // No specific dynamic elements mentioned for home page yet, beyond global ones.
-    // If you add sliders, carousels, or interactive elements, their initialization
-    // would go here.
+    setupLogoSlider();
 }
 
 /**
@@ -585,11 +3238,12 @@ function initBlogPage() {
  */
 function initPartnershipsPage() {
     const partnershipInquiryForm = document.getElementById('partnershipInquiryForm');
-    handleFormSubmission(
-        partnershipInquiryForm,
-        'Your partnership inquiry has been sent! We will review it and get back to you shortly.',
-        'There was an issue sending your inquiry. Please try again.'
-    );
+    handleFormSubmission(partnershipInquiryForm, {
+        endpoint: `${API_BASE_URL}/partnership-inquiries`,
+        label: 'inquiry',
+        successMessage: 'Your partnership inquiry has been sent! We will review it and get back to you shortly.',
+        errorMessage: 'There was an issue sending your inquiry. Please try again.'
+    });
 }
 
 /**
@@ -604,11 +3258,12 @@ function initCareerOpportunitiesPage() {
  */
 function initCallbackPage() {
     const callbackForm = document.getElementById('callbackForm');
-    handleFormSubmission(
-        callbackForm,
-        'Your callback request has been sent! We will contact you soon.',
-        'There was an issue sending your request. Please try again.'
-    );
+    handleFormSubmission(callbackForm, {
+        endpoint: `${API_BASE_URL}/callback-requests`,
+        label: 'callback request',
+        successMessage: 'Your callback request has been sent! We will contact you soon.',
+        errorMessage: 'There was an issue sending your request. Please try again.'
+    });
 }
 
 /**
@@ -624,11 +3279,28 @@ function initCompanyNewsPage() {
  */
 function initContactPage() {
     const contactForm = document.getElementById('contactForm');
-    handleFormSubmission(
-        contactForm,
-        'Your message has been sent successfully! We will get back to you shortly.',
-        'There was an issue sending your message. Please try again.'
-    );
+    const successMessage = document.getElementById('success-message');
+    handleFormSubmission(contactForm, {
+        endpoint: `${API_BASE_URL}/contact`,
+        label: 'message',
+        errorMessage: 'There was an issue sending your message. Please try again.',
+        onSuccess: () => successMessage.classList.remove('hidden')
+    });
+}
+
+/**
+ * Initializes functionality specific to the job_alerts.html page.
+ */
+function initJobAlertsPage() {
+    setupJobAlerts();
+}
+
+/**
+ * Initializes functionality specific to the gallery.html page.
+ */
+function initGalleryPage() {
+    setupGalleryLightbox();
+    renderGallery();
 }
 
 /**
@@ -636,11 +3308,12 @@ function initContactPage() {
  */
 function initNeedHelpPage() {
     const helpForm = document.getElementById('helpForm');
-    handleFormSubmission(
-        helpForm,
-        'Your query has been submitted! Our support team will review it and get back to you.',
-        'There was an issue submitting your query. Please try again.'
-    );
+    handleFormSubmission(helpForm, {
+        endpoint: `${API_BASE_URL}/help-tickets`,
+        label: 'query',
+        successMessage: 'Your query has been submitted! Our support team will review it and get back to you.',
+        errorMessage: 'There was an issue submitting your query. Please try again.'
+    });
 }
 
 /**
@@ -648,35 +3321,100 @@ function initNeedHelpPage() {
  */
 function initJobSeekerPage() {
     const jobSearchForm = document.getElementById('jobSearchForm');
+    const jobModal = document.getElementById('jobModal');
+    const applicationModal = document.getElementById('applicationModal');
+
+    populateIndustrySelects();
+    setupJobApplicationForm();
 
     if (jobSearchForm) {
+        const keywordsInput = document.getElementById('keywords');
+        const locationInput = document.getElementById('location');
+        const industrySelect = document.getElementById('industry');
+
+        const fillForm = (search) => {
+            keywordsInput.value = search.q;
+            locationInput.value = search.location;
+            industrySelect.value = search.industry;
+        };
+
         jobSearchForm.addEventListener('submit', (e) => {
             e.preventDefault();
-            const keywords = document.getElementById('keywords').value.trim();
-            const location = document.getElementById('location').value.trim();
-            const industry = document.getElementById('industry').value;
+            const search = {
+                q: keywordsInput.value.trim(),
+                location: locationInput.value.trim(),
+                industry: industrySelect.value,
+                page: 1
+            };
+            // Keep the search in the URL so it can be bookmarked or shared
+            const query = buildJobSearchQuery(search);
+            history.pushState(null, '', query ? `?${query}` : window.location.pathname);
+            runJobSearch(search);
+        });
+
+        window.addEventListener('popstate', () => {
+            const search = getJobSearchFromUrl();
+            fillForm(search);
+            runJobSearch(search);
+        });
+
+        const initialSearch = getJobSearchFromUrl();
+        fillForm(initialSearch);
+        runJobSearch(initialSearch);
+    }
 
-            // In a real application, you would send these search parameters
-            // to a backend API to fetch filtered job listings.
-            console.log('Job Search Submitted:', { keywords, location, industry });
-            showGlobalMessage('Searching for jobs (simulated)...', 'success', 2000);
+    if (jobModal) {
+        jobModal.querySelector('.job-modal-close').addEventListener('click', closeJobModal);
+        jobModal.addEventListener('click', (e) => {
+            if (e.target === jobModal) closeJobModal();
+        });
+        document.getElementById('jobModalApplyBtn').addEventListener('click', () => {
+            closeJobModal();
+            openApplicationModal(selectedJob);
+        });
+    }
 
-            // You might redirect to a job results page or dynamically update results here.
-            // For now, this is a client-side simulation.
+    if (applicationModal) {
+        applicationModal.querySelector('.job-modal-close').addEventListener('click', closeApplicationModal);
+        applicationModal.addEventListener('click', (e) => {
+            if (e.target === applicationModal) closeApplicationModal();
         });
     }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        closeJobModal();
+        closeApplicationModal();
+    });
+
+    openLinkedJob();
 }
 
 /**
  * Initializes functionality specific to the admin.html page.
  */
 function initAdminPage() {
+    populateIndustrySelects();
     setupAdminLogin();
     setupJobPostForm();
-    // renderAdminJobListings will be called by setupAdminLogin if already logged in
+    setupJobImport();
+    setupApplicationBoard();
+    setupInbox();
+    setupRequestQueues();
+    setupAdminGallery();
+    setupAdminClients();
+    setupExports();
+    // loadAdminDashboard will be called by setupAdminLogin if already logged in
     // or after successful login.
 }
 
+/**
+ * Initializes functionality specific to the industries_served.html page.
+ */
+function initIndustriesPage() {
+    renderIndustryClients();
+}
+
 /**
  * Initializes functionality specific to the services.html page.
  */
@@ -687,6 +3425,347 @@ function initServicesPage() {
 }
 
 
+// --- Site Header and Footer ---
+// Every page's navigation bar, mobile menu and footer are rendered by the
+// <site-header> and <site-footer> elements from the config below, so a new
+// page needs one entry here rather than an edit to every HTML file.
+
+// Service pages, listed under SERVICES in the header and in the footer
+const SERVICE_PAGES = [
+    { label: 'Leadership Hiring', href: 'leadership_hiring.html' },
+    { label: 'Recruitment Process Outsourcing (RPO)', href: 'rpo.html' },
+    { label: 'Permanent Staffing', href: 'permanent_staffing.html' },
+    { label: 'Contract Staffing', href: 'contract_staffing.html' },
+    { label: 'Specialist Services', href: 'specialist_services.html' },
+    { label: 'Other Recruitment & HR Support', href: 'hr_support.html' },
+    { label: 'Training & Development', href: 'training_development.html' }
+];
+
+// Top-level navigation. Entries with `children` are dropdowns; their `id`
+// names the mobile menu's toggle and dropdown elements and `width` sets the
+// desktop dropdown's Tailwind width class (w-64 if not given).
+const SITE_NAV = [
+    { label: 'HOME', href: 'index.html' },
+    {
+        label: 'ABOUT US',
+        id: 'aboutus',
+        width: 'w-48',
+        children: [
+            { label: 'About Us', href: 'about.html' },
+            { label: 'Gallery', href: 'gallery.html' }
+        ]
+    },
+    { label: 'SERVICES', id: 'services', children: SERVICE_PAGES },
+    { label: 'CURRENT OPENINGS', href: 'seeker.html' },
+    { label: 'INDUSTRIES SERVED', href: 'industries_served.html' },
+    { label: 'CONTACT US', href: 'contact.html' }
+];
+
+const SOCIAL_LINKS = [
+    { label: 'Facebook', icon: 'fa-facebook-f', href: 'https://www.facebook.com/profile.php?viewas=100000686899395&id=61577596020541' },
+    { label: 'LinkedIn', icon: 'fa-linkedin-in', href: 'https://www.linkedin.com/company/muster-consultants-pvt-ltd/posts/?feedView=all' },
+    { label: 'Twitter', icon: 'fa-twitter', href: 'https://x.com/MusterHr5' },
+    { label: 'Instagram', icon: 'fa-instagram', href: 'https://www.instagram.com/muster_consultants_official/' }
+];
+
+const GOOGLE_MAPS_URL = 'https://www.google.com/maps/place/Muster+Consultants+Pvt.+Ltd/@28.7089456,77.1183545,16.08z/data=!4m6!3m5!1s0x390d077a0c24db2b:0x7ac67beb3c37b9c4!8m2!3d28.7095423!4d77.1231909!16s%2Fg%2F11nwxf0tfd?authuser=0&entry=ttu&g_ep=EgoyMDI1MDcwOS4wIKXMDSoASAFQAw%3D%3D';
+
+const NAV_FOCUS_CLASSES = 'focus:outline-none focus-visible:outline-none';
+const CARET_ICON = '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>';
+
+/**
+ * The file name of the page being shown, which nav links are matched against.
+ * @returns {string} E.g. 'rpo.html'; 'index.html' for the site root.
+ */
+function currentPageName() {
+    return window.location.pathname.split('/').pop() || 'index.html';
+}
+
+/**
+ * Whether a nav entry is the current page or, for a dropdown, contains it.
+ * @param {object} item - An entry of SITE_NAV or of a dropdown's children.
+ * @param {string} page - The current page's file name.
+ * @returns {boolean}
+ */
+function isActiveNavItem(item, page) {
+    return item.children ? item.children.some(child => child.href === page) : item.href === page;
+}
+
+/**
+ * Renders a nav link, highlighted and marked as the current page if it is one.
+ * @param {object} item - The link's label and href.
+ * @param {string} page - The current page's file name.
+ * @param {string} classes - Classes for the link, besides its color.
+ * @returns {string} The link's HTML.
+ */
+function renderNavLink(item, page, classes) {
+    const active = item.href === page;
+    const color = active ? 'text-primary-color' : 'text-gray-700 hover:text-primary-color';
+    return `<a href="${escapeHtml(item.href)}" class="${color} ${classes} ${NAV_FOCUS_CLASSES}"${active ? ' aria-current="page"' : ''}>${escapeHtml(item.label)}</a>`;
+}
+
+/**
+ * Renders the navigation bar with its desktop dropdowns and the slide-in mobile menu.
+ * @returns {string} The header's HTML.
+ */
+function renderSiteHeader() {
+    const page = currentPageName();
+
+    const desktopItems = SITE_NAV.map(item => {
+        if (!item.children) return renderNavLink(item, page, 'font-medium nav-link text-sm lg:text-base');
+        const color = isActiveNavItem(item, page) ? 'text-primary-color' : 'text-gray-700 hover:text-primary-color';
+        return `
+                <div class="relative group">
+                    <a href="#" class="${color} font-medium nav-link inline-flex items-center text-sm lg:text-base ${NAV_FOCUS_CLASSES}" aria-haspopup="true">${escapeHtml(item.label)}</a>
+                    <div class="absolute left-0 mt-2 ${item.width || 'w-64'} bg-white rounded-lg shadow-lg opacity-0 group-hover:opacity-100 group-hover:visible invisible transition-opacity duration-200 z-50 border border-gray-100">
+                        ${item.children.map(child => renderNavLink(child, page, 'block px-6 py-3 hover:bg-gray-100 nav-link text-sm')).join('')}
+                    </div>
+                </div>`;
+    }).join('');
+
+    const mobileItems = SITE_NAV.map(item => {
+        if (!item.children) return renderNavLink(item, page, 'py-2 font-medium nav-link');
+        const color = isActiveNavItem(item, page) ? 'text-primary-color' : 'text-gray-700 hover:text-primary-color';
+        return `
+                <div class="relative">
+                    <button type="button" id="mobile-${item.id}-toggle" class="w-full flex justify-between items-center py-2 ${color} font-medium nav-link ${NAV_FOCUS_CLASSES}" aria-expanded="false" aria-controls="mobile-${item.id}-dropdown" data-mobile-dropdown-toggle>
+                        ${escapeHtml(item.label)}
+                        <svg id="mobile-${item.id}-caret" class="h-5 w-5 ml-2 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">${CARET_ICON}</svg>
+                    </button>
+                    <div id="mobile-${item.id}-dropdown" class="hidden flex-col pl-4 space-y-1 mt-1">
+                        ${item.children.map(child => renderNavLink(child, page, 'block py-2 nav-link')).join('')}
+                    </div>
+                </div>`;
+    }).join('');
+
+    return `
+    <nav class="bg-white shadow-lg py-3 sm:py-4 navbar-animated">
+        <div class="container mx-auto flex justify-between items-center px-4 sm:px-6 lg:px-12">
+            <div class="flex items-center">
+                <img src="logo.jpg" alt="Muster Consultants Logo" class="h-12 sm:h-14 lg:h-16 mr-3 sm:mr-4 rounded-md">
+                <a href="index.html" class="text-primary-color font-bold text-lg sm:text-xl tracking-wide leading-tight">Muster Consultants<br> Pvt Ltd</a>
+            </div>
+            <div class="hidden md:flex flex-row space-x-4 lg:space-x-6">${desktopItems}
+            </div>
+            <button type="button" id="mobile-menu-toggle" class="md:hidden flex items-center px-2 sm:px-3 py-2 border rounded-lg text-primary-color border-primary-color focus:outline-none hover:bg-primary-color hover:text-white transition-colors duration-200" aria-label="Open menu" aria-controls="mobile-menu" aria-expanded="false">
+                <svg class="h-6 w-6 sm:h-7 sm:w-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"></path></svg>
+            </button>
+        </div>
+        <div id="mobile-menu-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 hidden"></div>
+        <div id="mobile-menu" class="fixed top-0 left-0 w-80 max-w-full h-full bg-white shadow-2xl z-50 transform -translate-x-full transition-transform duration-300 md:hidden">
+            <div class="flex items-center px-6 py-4 border-b">
+                <img src="logo.jpg" alt="Muster Consultants Logo" class="h-12 w-12 rounded-md mr-3">
+                <span class="font-bold text-lg text-primary-color leading-tight">Muster Consultants<br>Pvt Ltd</span>
+                <button type="button" id="mobile-menu-close" class="ml-auto text-gray-700 hover:text-primary-color focus:outline-none" aria-label="Close menu">
+                    <svg class="h-7 w-7" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                </button>
+            </div>
+            <nav class="flex flex-col px-6 py-4 space-y-2">${mobileItems}
+            </nav>
+        </div>
+    </nav>`;
+}
+
+/**
+ * Keeps a desktop dropdown open while the pointer is over its trigger or its
+ * menu, closing it shortly after the pointer leaves, and opens it on focus.
+ * @param {HTMLElement} group - The dropdown's `.group` wrapper.
+ */
+function setupNavDropdown(group) {
+    const dropdown = group.querySelector('div.absolute');
+    const trigger = group.querySelector('a.inline-flex');
+    if (!dropdown || !trigger) return;
+    let closeTimeout;
+
+    const openMenu = () => {
+        dropdown.classList.add('group-hover:opacity-100', 'group-hover:visible');
+        dropdown.classList.remove('opacity-0', 'invisible');
+        clearTimeout(closeTimeout);
+    };
+    const closeMenu = () => {
+        closeTimeout = setTimeout(() => {
+            dropdown.classList.remove('group-hover:opacity-100', 'group-hover:visible');
+            dropdown.classList.add('opacity-0', 'invisible');
+        }, 150);
+    };
+
+    group.addEventListener('mouseenter', openMenu);
+    group.addEventListener('mouseleave', closeMenu);
+    trigger.addEventListener('click', (e) => e.preventDefault());
+    trigger.addEventListener('focus', openMenu);
+    // Stay open while focus moves into the menu's links
+    group.addEventListener('focusout', (e) => {
+        if (!group.contains(e.relatedTarget)) closeMenu();
+    });
+}
+
+/**
+ * Wires up the mobile menu: the open and close buttons, the overlay, its
+ * dropdowns, Escape, swiping from the left edge to open it and left to close it.
+ * @param {HTMLElement} header - The rendered <site-header>.
+ * @returns {{open: function, close: function}} Opens and closes the menu.
+ */
+function setupMobileMenu(header) {
+    const toggle = header.querySelector('#mobile-menu-toggle');
+    const menu = header.querySelector('#mobile-menu');
+    const overlay = header.querySelector('#mobile-menu-overlay');
+    const close = header.querySelector('#mobile-menu-close');
+    const isOpen = () => !menu.classList.contains('-translate-x-full');
+
+    const openMenu = () => {
+        menu.classList.remove('-translate-x-full');
+        overlay.classList.remove('hidden');
+        toggle.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+        const firstFocusable = menu.querySelector('a, button');
+        if (firstFocusable) firstFocusable.focus();
+    };
+    const closeMenu = () => {
+        menu.classList.add('-translate-x-full');
+        overlay.classList.add('hidden');
+        toggle.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = '';
+        toggle.focus();
+    };
+
+    toggle.addEventListener('click', openMenu);
+    close.addEventListener('click', closeMenu);
+    overlay.addEventListener('click', closeMenu);
+    menu.querySelectorAll('a').forEach(link => link.addEventListener('click', closeMenu));
+
+    menu.querySelectorAll('[data-mobile-dropdown-toggle]').forEach(button => {
+        button.addEventListener('click', () => {
+            const dropdown = document.getElementById(button.getAttribute('aria-controls'));
+            const opening = dropdown.classList.toggle('hidden') === false;
+            dropdown.classList.toggle('flex', opening);
+            button.setAttribute('aria-expanded', String(opening));
+            button.querySelector('svg').classList.toggle('rotate-180', opening);
+        });
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen()) closeMenu();
+    });
+
+    let touchStartX = 0;
+    document.addEventListener('touchstart', (e) => {
+        touchStartX = e.changedTouches[0].screenX;
+    });
+    document.addEventListener('touchend', (e) => {
+        const swipeDistance = e.changedTouches[0].screenX - touchStartX;
+        const swipeThreshold = 50;
+        if (swipeDistance > swipeThreshold && touchStartX < 50 && !isOpen()) openMenu();
+        if (swipeDistance < -swipeThreshold && isOpen()) closeMenu();
+    });
+
+    // Full width on small phones
+    const fitMenu = () => {
+        const width = window.innerWidth < 480 ? '100%' : '320px';
+        menu.style.width = width;
+        menu.style.maxWidth = width;
+    };
+    fitMenu();
+    window.addEventListener('resize', fitMenu);
+
+    return { open: openMenu, close: closeMenu };
+}
+
+/**
+ * Renders the footer: company details, social links, the services and the
+ * newsletter signup, which setupFooterSubscribe handles.
+ * @returns {string} The footer's HTML.
+ */
+function renderSiteFooter() {
+    const socialLinks = SOCIAL_LINKS.map(link => `
+                    <li><a href="${escapeHtml(link.href)}" class="footer-link flex items-center"><i class="fab ${link.icon} mr-3 footer-social-icon"></i> ${escapeHtml(link.label)}</a></li>`).join('');
+    const serviceLinks = SERVICE_PAGES.map(page => `
+                    <li><a href="${escapeHtml(page.href)}" class="footer-link flex items-center"><i class="fas fa-chevron-right mr-2 text-xs"></i> ${escapeHtml(page.label)}</a></li>`).join('');
+
+    return `
+    <footer class="footer-bg text-white py-8 sm:py-12">
+        <div class="container mx-auto px-4 sm:px-6 lg:px-12 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 sm:gap-8">
+            <div class="col-span-1 animated-grid-item" style="animation-delay: 0.1s;">
+                <img src="logo.jpg" alt="Muster Consultants Footer Logo" class="h-16 mb-4 rounded-md footer-logo">
+                <p class="text-gray-400 mb-4">
+                    We have over 10 years of experience in connecting talent with opportunity.
+                </p>
+                <p class="text-gray-400 mb-4">
+                    At Muster Consultants Pvt Ltd, we are committed to Performance, Quality, and Results.
+                </p>
+                <a href="${escapeHtml(GOOGLE_MAPS_URL)}" class="text-primary-color hover:text-accent-color text-sm flex items-center footer-link">
+                    <i class="fas fa-map-marker-alt mr-2"></i> Find Us on Google Maps
+                </a>
+            </div>
+            <div class="col-span-1 animated-grid-item" style="animation-delay: 0.2s;">
+                <h4 class="text-xl font-semibold mb-4">FOLLOW US</h4>
+                <ul class="space-y-3">${socialLinks}
+                </ul>
+            </div>
+            <div class="col-span-1 animated-grid-item" style="animation-delay: 0.3s;">
+                <h4 class="text-xl font-semibold mb-4">OUR SERVICES</h4>
+                <ul class="space-y-3">${serviceLinks}
+                </ul>
+            </div>
+            <div class="col-span-1 animated-grid-item" style="animation-delay: 0.4s;">
+                <h4 class="text-xl font-semibold mb-4">SUBSCRIBE US</h4>
+                <p class="text-gray-400 mb-4">
+                    Sign up for our mailing list to get the latest updates and news directly to your inbox.
+                </p>
+                <div class="flex flex-col sm:flex-row gap-2">
+                    <input type="email" placeholder="Enter your email" aria-label="Email address" class="flex-grow p-3 rounded-md sm:rounded-l-md sm:rounded-r-none footer-subscribe-input" required>
+                    <input type="text" id="subscribe-website" name="website" class="form-honeypot" tabindex="-1" autocomplete="off" aria-hidden="true">
+                    <button type="button" class="p-3 text-white rounded-md sm:rounded-l-none sm:rounded-r-md footer-subscribe-button" aria-label="Subscribe">
+                        <i class="fas fa-paper-plane"></i>
+                    </button>
+                </div>
+                <div class="hidden text-green-400 font-semibold mt-2" id="subscribe-success" role="status">Almost done! Please check your inbox to confirm your subscription.</div>
+                <div class="hidden text-red-400 text-sm mt-2" id="subscribe-error" role="alert"></div>
+            </div>
+        </div>
+        <div class="border-t border-gray-700 mt-6 sm:mt-8 pt-4 sm:pt-6 text-center text-gray-500 text-xs sm:text-sm px-4">
+            &copy; Copyright 2009 - 2017 Muster Consultants Pvt Ltd. All rights reserved. | Design by - Manvendra Mishra and Sachin kumar
+        </div>
+    </footer>`;
+}
+
+/**
+ * <site-header>: the navigation bar and mobile menu, with the current page's
+ * link highlighted.
+ */
+class SiteHeader extends HTMLElement {
+    connectedCallback() {
+        // Moving the element in the page connects it again; render only once
+        if (this.dataset.rendered) return;
+        this.dataset.rendered = 'true';
+        this.innerHTML = renderSiteHeader();
+        this.querySelectorAll('.group').forEach(setupNavDropdown);
+        this.mobileMenu = setupMobileMenu(this);
+    }
+
+    openMobileMenu() {
+        if (this.mobileMenu) this.mobileMenu.open();
+    }
+
+    closeMobileMenu() {
+        if (this.mobileMenu) this.mobileMenu.close();
+    }
+}
+
+/**
+ * <site-footer>: the footer, with its newsletter signup.
+ */
+class SiteFooter extends HTMLElement {
+    connectedCallback() {
+        if (this.dataset.rendered) return;
+        this.dataset.rendered = 'true';
+        this.innerHTML = renderSiteFooter();
+        setupFooterSubscribe(this);
+    }
+}
+
+customElements.define('site-header', SiteHeader);
+customElements.define('site-footer', SiteFooter);
+
 // --- Main Entry Point: DOMContentLoaded ---
 // Enhanced JavaScript for Muster Consultants Website
 // Responsive features and performance optimizations
@@ -730,127 +3809,6 @@ document.addEventListener('DOMContentLoaded', function() {
         observer.observe(el);
     });
 
-    // Enhanced mobile menu functionality
-    const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
-    const mobileMenu = document.getElementById('mobile-menu');
-    const mobileMenuOverlay = document.getElementById('mobile-menu-overlay');
-    const mobileMenuClose = document.getElementById('mobile-menu-close');
-    const mobileServicesToggle = document.getElementById('mobile-services-toggle');
-    const mobileServicesDropdown = document.getElementById('mobile-services-dropdown');
-    const mobileServicesCaret = document.getElementById('mobile-services-caret');
-
-    function openMobileMenu() {
-        mobileMenu.classList.remove('-translate-x-full');
-        mobileMenuOverlay.classList.remove('hidden');
-        mobileMenuOverlay.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        
-        // Add focus trap for accessibility
-        const firstFocusableElement = mobileMenu.querySelector('a, button');
-        if (firstFocusableElement) {
-            firstFocusableElement.focus();
-        }
-    }
-
-    function closeMobileMenu() {
-        mobileMenu.classList.add('-translate-x-full');
-        mobileMenuOverlay.classList.add('hidden');
-        mobileMenuOverlay.classList.remove('active');
-        document.body.style.overflow = '';
-        
-        // Return focus to menu toggle button
-        mobileMenuToggle.focus();
-    }
-
-    // Event listeners for mobile menu
-    if (mobileMenuToggle) mobileMenuToggle.addEventListener('click', openMobileMenu);
-    if (mobileMenuClose) mobileMenuClose.addEventListener('click', closeMobileMenu);
-    if (mobileMenuOverlay) mobileMenuOverlay.addEventListener('click', closeMobileMenu);
-
-    // Enhanced SERVICES dropdown in mobile menu
-    if (mobileServicesToggle && mobileServicesDropdown && mobileServicesCaret) {
-        mobileServicesToggle.addEventListener('click', function() {
-            const isOpen = mobileServicesDropdown.classList.contains('open');
-            if (isOpen) {
-                mobileServicesDropdown.classList.remove('open');
-                mobileServicesCaret.classList.remove('rotate-180');
-            } else {
-                mobileServicesDropdown.classList.add('open');
-                mobileServicesCaret.classList.add('rotate-180');
-            }
-        });
-    }
-
-    // Close mobile menu when clicking on a link
-    document.querySelectorAll('#mobile-menu a').forEach(link => {
-        link.addEventListener('click', closeMobileMenu);
-    });
-
-    // Keyboard navigation support
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape' && mobileMenu && !mobileMenu.classList.contains('-translate-x-full')) {
-            closeMobileMenu();
-        }
-    });
-
-    // Touch gesture support for mobile menu
-    let touchStartX = 0;
-    let touchEndX = 0;
-
-    document.addEventListener('touchstart', e => {
-        touchStartX = e.changedTouches[0].screenX;
-    });
-
-    document.addEventListener('touchend', e => {
-        touchEndX = e.changedTouches[0].screenX;
-        handleSwipe();
-    });
-
-    function handleSwipe() {
-        const swipeThreshold = 50;
-        const swipeDistance = touchEndX - touchStartX;
-        
-        // Swipe right to open menu (only if menu is closed and swipe starts from left edge)
-        if (swipeDistance > swipeThreshold && touchStartX < 50 && mobileMenu && mobileMenu.classList.contains('-translate-x-full')) {
-            openMobileMenu();
-        }
-        
-        // Swipe left to close menu (only if menu is open)
-        if (swipeDistance < -swipeThreshold && mobileMenu && !mobileMenu.classList.contains('-translate-x-full')) {
-            closeMobileMenu();
-        }
-    }
-
-    // Enhanced dropdown menu functionality
-    document.querySelectorAll('.group').forEach(function(group) {
-        const dropdown = group.querySelector('div.absolute');
-        const trigger = group.querySelector('a.inline-flex');
-        
-        if (!dropdown || !trigger) return;
-        
-        let closeTimeout;
-        
-        function openMenu() {
-            dropdown.classList.add('group-hover:opacity-100', 'group-hover:visible');
-            dropdown.classList.remove('opacity-0', 'invisible');
-            clearTimeout(closeTimeout);
-        }
-        
-        function closeMenu() {
-            closeTimeout = setTimeout(function() {
-                dropdown.classList.remove('group-hover:opacity-100', 'group-hover:visible');
-                dropdown.classList.add('opacity-0', 'invisible');
-            }, 150);
-        }
-        
-        group.addEventListener('mouseenter', openMenu);
-        group.addEventListener('mouseleave', closeMenu);
-        dropdown.addEventListener('mouseenter', openMenu);
-        dropdown.addEventListener('mouseleave', closeMenu);
-        trigger.addEventListener('focus', openMenu);
-        trigger.addEventListener('blur', closeMenu);
-    });
-
     // Enhanced responsive features
     function setupResponsiveFeatures() {
         // Smooth scrolling for anchor links
@@ -890,19 +3848,6 @@ document.addEventListener('DOMContentLoaded', function() {
             observer.observe(el);
         });
 
-        // Enhanced logo slider performance
-        const logoSlider = document.querySelector('.logo-slider');
-        if (logoSlider) {
-            // Pause animation on hover for better UX
-            logoSlider.addEventListener('mouseenter', function() {
-                this.style.animationPlayState = 'paused';
-            });
-            
-            logoSlider.addEventListener('mouseleave', function() {
-                this.style.animationPlayState = 'running';
-            });
-        }
-
         // Performance optimization: Lazy loading for images
         if ('IntersectionObserver' in window) {
             const imageObserver = new IntersectionObserver((entries, observer) => {
@@ -985,30 +3930,6 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Enhanced form handling
     function setupEnhancedForms() {
-        const subscribeForm = document.querySelector('.footer-subscribe-input');
-        const subscribeButton = document.querySelector('.footer-subscribe-button');
-        
-        if (subscribeForm && subscribeButton) {
-            subscribeButton.addEventListener('click', function(e) {
-                e.preventDefault();
-                const email = subscribeForm.value.trim();
-                
-                if (!email) {
-                    showNotification('Please enter your email address', 'error');
-                    return;
-                }
-                
-                if (!isValidEmail(email)) {
-                    showNotification('Please enter a valid email address', 'error');
-                    return;
-                }
-                
-                // Simulate subscription
-                showNotification('Thank you for subscribing!', 'success');
-                subscribeForm.value = '';
-            });
-        }
-
         // Add loading states for better UX
         document.querySelectorAll('a[href]').forEach(link => {
             link.addEventListener('click', function() {
@@ -1026,12 +3947,6 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Email validation helper
-    function isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
     // Enhanced notification system
     function showNotification(message, type = 'info') {
         const notification = document.createElement('div');
@@ -1102,37 +4017,6 @@ document.addEventListener('DOMContentLoaded', function() {
     
     window.addEventListener('scroll', requestTick);
 
-    // Form validation and enhancement
-    const subscribeForm = document.querySelector('.footer-subscribe-input');
-    const subscribeButton = document.querySelector('.footer-subscribe-button');
-    
-    if (subscribeForm && subscribeButton) {
-        subscribeButton.addEventListener('click', function(e) {
-            e.preventDefault();
-            const email = subscribeForm.value.trim();
-            
-            if (!email) {
-                showNotification('Please enter your email address', 'error');
-                return;
-            }
-            
-            if (!isValidEmail(email)) {
-                showNotification('Please enter a valid email address', 'error');
-                return;
-            }
-            
-            // Simulate subscription
-            showNotification('Thank you for subscribing!', 'success');
-            subscribeForm.value = '';
-        });
-    }
-
-    // Email validation helper
-    function isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
     // Notification system
     function showNotification(message, type = 'info') {
         const notification = document.createElement('div');
@@ -1210,18 +4094,8 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Enhanced logo slider performance
-    const logoSlider = document.querySelector('.logo-slider');
-    if (logoSlider) {
-        // Pause animation on hover for better UX
-        logoSlider.addEventListener('mouseenter', function() {
-            this.style.animationPlayState = 'paused';
-        });
-        
-        logoSlider.addEventListener('mouseleave', function() {
-            this.style.animationPlayState = 'running';
-        });
-    }
+    // Send form submissions queued while offline
+    setupSubmissionQueue();
 
     // Add loading states for better UX
     document.querySelectorAll('a[href]').forEach(link => {
@@ -1239,26 +4113,6 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
 
-    // Enhanced responsive behavior
-    function handleResize() {
-        const width = window.innerWidth;
-        
-        // Adjust mobile menu width based on screen size
-        if (mobileMenu) {
-            if (width < 480) {
-                mobileMenu.style.width = '100%';
-                mobileMenu.style.maxWidth = '100%';
-            } else {
-                mobileMenu.style.width = '320px';
-                mobileMenu.style.maxWidth = '320px';
-            }
-        }
-    }
-
-    // Initial call and event listener
-    handleResize();
-    window.addEventListener('resize', handleResize);
-
     // Cleanup function for memory management
     window.addEventListener('beforeunload', function() {
         // Clean up any event listeners or timers if needed
@@ -1270,23 +4124,11 @@ document.addEventListener('DOMContentLoaded', function() {
 // Export functions for potential external use
 window.MusterConsultants = {
     openMobileMenu: function() {
-        const mobileMenu = document.getElementById('mobile-menu');
-        const mobileMenuOverlay = document.getElementById('mobile-menu-overlay');
-        if (mobileMenu && mobileMenuOverlay) {
-            mobileMenu.classList.remove('-translate-x-full');
-            mobileMenuOverlay.classList.remove('hidden');
-            mobileMenuOverlay.classList.add('active');
-            document.body.style.overflow = 'hidden';
-        }
+        const header = document.querySelector('site-header');
+        if (header) header.openMobileMenu();
     },
     closeMobileMenu: function() {
-        const mobileMenu = document.getElementById('mobile-menu');
-        const mobileMenuOverlay = document.getElementById('mobile-menu-overlay');
-        if (mobileMenu && mobileMenuOverlay) {
-            mobileMenu.classList.add('-translate-x-full');
-            mobileMenuOverlay.classList.add('hidden');
-            mobileMenuOverlay.classList.remove('active');
-            document.body.style.overflow = '';
-        }
+        const header = document.querySelector('site-header');
+        if (header) header.closeMobileMenu();
     }
 };
@@ -0,0 +1,60 @@
+/**
+ * Creates an admin user for the admin panel, or resets the password of an
+ * existing one.
+ *
+ * Usage: npm run create-admin -- <username> ["Display Name"]
+ *
+ * The password is read from the ADMIN_PASSWORD environment variable when set,
+ * otherwise it is prompted for on the terminal.
+ */
+require('dotenv').config();
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { AdminUser } = require('../lib/auth');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Echo nothing while the password is typed
+    rl._writeToOutput = () => {};
+    process.stdout.write(question);
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [username, name] = process.argv.slice(2);
+  if (!username) {
+    console.error('Usage: npm run create-admin -- <username> ["Display Name"]');
+    process.exit(1);
+  }
+
+  const password = process.env.ADMIN_PASSWORD || await promptPassword(`Password for ${username}: `);
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musterd');
+
+  let user = await AdminUser.findOne({ username: username.toLowerCase() });
+  const isNew = !user;
+  if (isNew) user = new AdminUser({ username });
+  if (name) user.name = name;
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(isNew ? `Created admin user "${user.username}".` : `Updated password for admin user "${user.username}".`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Failed to create admin user:', err.message);
+  process.exit(1);
+});
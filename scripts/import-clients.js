@@ -0,0 +1,83 @@
+/**
+ * Adds the clients whose logos used to be hardcoded in the slider on
+ * index.html, so the slider looks the same once it is rendered from the API.
+ *
+ * Usage: npm run import-clients
+ *
+ * Logos are read from the repository root and stored like uploaded ones.
+ * Clients already saved under the same name are skipped, so it is safe to
+ * run again. Clients without an industry here are listed under "Other
+ * industries" on industries_served.html until one is set in the admin panel.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { storeClientLogo } = require('../lib/clientLogos');
+
+const SITE_ROOT = path.join(__dirname, '..');
+const FINANCE = 'Banking and Finance';
+
+// In the order they appeared in the slider
+const CLIENTS = [
+  { name: 'Aditya Birla', logo: 'Aditya-Birla.jpg' },
+  { name: 'SBFC', logo: 'sbfc.png', industry: FINANCE },
+  { name: 'Sunrise Plywood', logo: 'sunriseplywood.png' },
+  { name: 'Veena Developers', logo: 'veenadevelopers.jpg', industry: 'Construction' },
+  { name: 'SSPL India', logo: 'ssplindia.webp' },
+  { name: 'Nets International', logo: 'nets-international.jpg' },
+  { name: 'Basic Home Loan', logo: 'Basic home loan.jpg', industry: FINANCE },
+  { name: 'IDFC First Bank', logo: 'IDFC First Bank Logo.png', industry: FINANCE },
+  { name: 'HDFC Bank', logo: 'HDFC Bank Logo.png', industry: FINANCE },
+  { name: 'Axis Bank', logo: 'Axis Bank Logo.png', industry: FINANCE },
+  { name: 'Hero FinCorp', logo: 'Hero Fincorp Logo.png', industry: FINANCE },
+  { name: 'Suzuki', logo: 'Suzuki Logo.png', industry: 'Automotive' },
+  { name: 'Hero', logo: 'Hero Logo.png', industry: 'Automotive' },
+  { name: 'Tata Capital Financial Services', logo: 'Tata Capital.webp', industry: FINANCE },
+  { name: 'Shriram Housing Finance (Truhome)', logo: 'truhome fiannce.webp', industry: FINANCE },
+  { name: 'Motilal Oswal Services', logo: 'Motilal oswal services.jpg', industry: FINANCE },
+  { name: 'SOMPO General Insurance', logo: 'SOMPO General Insurance.jpg', industry: FINANCE },
+  { name: 'Satya Micro Capital Financial', logo: 'Satya Micro capital fianancial.jpg', industry: FINANCE },
+  { name: 'HDB Financial Services', logo: 'HDB Finacial Services.png', industry: FINANCE },
+  { name: 'DIGIT Insurance', logo: 'DIGIT Insurance.jpg', industry: FINANCE },
+  { name: 'IIFL', logo: 'IIFL.webp', industry: FINANCE },
+  { name: 'PNB Housing Finance', logo: 'PNB Housing Finanace.jpg', industry: FINANCE },
+  { name: 'EFL', logo: 'EFL.png' },
+  { name: 'Godrej Capital', logo: 'Godrej-Capital.png', industry: FINANCE },
+  { name: 'DCB Bank', logo: 'dcb bank.webp', industry: FINANCE },
+  { name: 'Propium Finance', logo: 'propium finanace.jpg', industry: FINANCE },
+  { name: 'Ugro Capital', logo: 'ugro capital.jpg', industry: FINANCE },
+  { name: 'Avas Finances', logo: 'avas finances.jpg', industry: FINANCE },
+  { name: 'Sammaan Capital', logo: 'sammaan capital.png', industry: FINANCE },
+];
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musterd');
+  const clients = mongoose.connection.collection('clients');
+
+  const existing = await clients.find({}, { projection: { name: 1, order: 1 } }).toArray();
+  const names = new Set(existing.map(client => client.name.toLowerCase()));
+  let order = existing.reduce((max, client) => Math.max(max, client.order || 0), -1) + 1;
+  let added = 0;
+  for (const { name, logo, industry } of CLIENTS) {
+    if (names.has(name.toLowerCase())) continue;
+    const logoFilename = await storeClientLogo(fs.readFileSync(path.join(SITE_ROOT, logo)));
+    await clients.insertOne({
+      name,
+      logoFilename,
+      ...(industry ? { industry } : {}),
+      order: order++,
+      visible: true,
+      createdAt: new Date(),
+    });
+    added++;
+  }
+
+  console.log(`Added ${added} client(s), skipped ${CLIENTS.length - added} already saved.`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Failed to import clients:', err.message);
+  process.exit(1);
+});
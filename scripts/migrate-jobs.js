@@ -0,0 +1,43 @@
+/**
+ * Prepares job listings stored before jobs had a status for the new schema.
+ *
+ * Usage: npm run migrate-jobs
+ *
+ * Marks jobs without a status as published, since every job was public
+ * before drafts existed, and gives them one opening. Run it once before
+ * starting the updated server; until then those jobs are hidden from the site.
+ *
+ * Also moves expiry dates saved as UTC midnight to the end of that day in
+ * India, so those jobs take applications for the whole of their last day.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musterd');
+  const jobs = mongoose.connection.collection('jobs');
+
+  const published = (await jobs.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published' } }
+  )).modifiedCount;
+  const withOpenings = (await jobs.updateMany(
+    { openings: { $exists: false } },
+    { $set: { openings: 1 } }
+  )).modifiedCount;
+  const withExpiry = (await jobs.updateMany(
+    { expiresAt: { $type: 'date' }, $expr: { $eq: [{ $mod: [{ $toLong: '$expiresAt' }, DAY_MS] }, 0] } },
+    [{ $set: { expiresAt: { $add: ['$expiresAt', DAY_MS - IST_OFFSET_MS - 1] } } }]
+  )).modifiedCount;
+
+  console.log(`Published ${published}, set openings on ${withOpenings} and moved the expiry date of ${withExpiry} job listing(s).`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Failed to migrate jobs:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Prepares subscribers stored before double opt-in for the new schema.
+ *
+ * Usage: npm run migrate-subscribers
+ *
+ * Lowercases and trims every address, keeps only the oldest record for each
+ * address, and marks records without a status as active since those people
+ * subscribed before confirmation emails existed. Run it once before starting
+ * the updated server so the unique email index can be built.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musterd');
+  const subscribers = mongoose.connection.collection('subscribers');
+
+  const seen = new Set();
+  const duplicateIds = [];
+  let normalized = 0;
+  const cursor = subscribers.find({}).sort({ createdAt: 1, _id: 1 });
+  for await (const subscriber of cursor) {
+    const email = String(subscriber.email || '').trim().toLowerCase();
+    if (!email || seen.has(email)) {
+      duplicateIds.push(subscriber._id);
+      continue;
+    }
+    seen.add(email);
+    if (email !== subscriber.email) {
+      await subscribers.updateOne({ _id: subscriber._id }, { $set: { email } });
+      normalized++;
+    }
+  }
+
+  const removed = duplicateIds.length
+    ? (await subscribers.deleteMany({ _id: { $in: duplicateIds } })).deletedCount
+    : 0;
+  const activated = (await subscribers.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'active' } }
+  )).modifiedCount;
+
+  console.log(`Normalized ${normalized}, removed ${removed} duplicate or empty, activated ${activated} subscriber(s).`);
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('Failed to migrate subscribers:', err.message);
+  process.exit(1);
+});
@@ -1,12 +1,58 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const { AdminUser, login, requireAdmin } = require('./lib/auth');
+const { resumeUpload, resumePath, removeUpload, jobImportUpload, galleryUpload, clientLogoUpload } = require('./lib/uploads');
+const { labelFor, validate, validateBody, sendValidationErrors, mongooseValidationErrors } = require('./lib/validation');
+const newsletter = require('./lib/newsletter');
+const notifications = require('./lib/notifications');
+const { rateLimitByIp, checkSubmission, getBlockedSubmissionReport } = require('./lib/spam');
+const { dedupeSubmission } = require('./lib/submissions');
+const { FORMATS, sendSpreadsheet } = require('./lib/spreadsheet');
+const jobImport = require('./lib/jobImport');
+const seo = require('./lib/seo');
+const { sendJobFeed } = require('./lib/feeds');
+const jobAlerts = require('./lib/jobAlerts');
+const gallery = require('./lib/gallery');
+const clientLogos = require('./lib/clientLogos');
 
 const app = express();
-app.use(cors());
+// Behind a proxy or load balancer, TRUST_PROXY makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+// CORS_ORIGINS is a comma-separated list of sites allowed to call the API; unset allows any
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Content-Disposition is exposed so the admin panel can name downloaded exports
+app.use(cors({ ...(corsOrigins.length ? { origin: corsOrigins } : {}), exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
-app.use(express.static('Musterd'));
+
+// The website itself is served from the repository root, so the site and API
+// can run same-origin. Only the site's own files are served: pages, styles,
+// images and the browser scripts, never the server code, config or uploads.
+const SITE_FILE_PATTERN = /^\/(?:[^/\\]+\.(?:html|css|jpe?g|png|gif|webp|svg|ico|webmanifest)|(?:scr|sw|submission-queue)\.js)?$/i;
+const serveSite = express.static(__dirname, { dotfiles: 'ignore' });
+
+function isSiteFile(urlPath) {
+  try {
+    return SITE_FILE_PATTERN.test(decodeURIComponent(urlPath));
+  } catch (err) {
+    return false;
+  }
+}
+
+app.use((req, res, next) => (isSiteFile(req.path) ? serveSite(req, res, next) : next()));
+// Gallery photos (see lib/gallery.js). They never change once stored, and
+// their random names keep photos in unpublished albums from being guessed.
+app.use(gallery.GALLERY_URL_PATH, express.static(gallery.GALLERY_UPLOAD_DIR, {
+  dotfiles: 'ignore', index: false, immutable: true, maxAge: '365d',
+}));
+app.use(clientLogos.CLIENT_LOGO_URL_PATH, express.static(clientLogos.CLIENT_LOGO_DIR, {
+  dotfiles: 'ignore', index: false, immutable: true, maxAge: '365d',
+}));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/musterd', {
@@ -20,57 +66,1618 @@ db.once('open', () => {
   console.log('Connected to MongoDB');
 });
 
+const { JOB_ALERT_FREQUENCIES } = jobAlerts;
+
 // Schemas
-const ContactSchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  subject: String,
-  message: String,
+// Internal note an admin adds to a contact message; never shown to the sender
+const ContactNoteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true, maxlength: 2000 },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
   createdAt: { type: Date, default: Date.now }
 });
+const ContactSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+  subject: { type: String, required: true, trim: true, maxlength: 200 },
+  message: { type: String, required: true, trim: true, maxlength: 5000 },
+  // Inbox state; messages saved before the inbox existed have none of these set
+  read: { type: Boolean, default: false },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  notes: [ContactNoteSchema],
+  archived: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { toJSON: { virtuals: true } });
+// Industries a job can be filed under; keep in step with JOB_INDUSTRIES in scr.js
+const JOB_INDUSTRIES = [
+  'Banking and Finance',
+  'Telecommunication',
+  'Software & Hardware',
+  'Chemicals and Pharma',
+  'Call Centre/BPO/IT',
+  'Garments and FMCG',
+  'Office Administration',
+  'Electronics & Electricals',
+  'Food',
+  'Logistics',
+  'Construction',
+  'Petrochemical',
+  'Power Plant',
+  'Hospitality',
+  'Automotive',
+  'Advertising',
+];
+const EMPLOYMENT_TYPES = ['permanent', 'contract'];
+// Only published jobs are shown to candidates; closed jobs no longer take applications
+const JOB_STATUSES = ['draft', 'published', 'closed'];
+
+// Subscriptions are double opt-in: they stay pending until the emailed
+// confirmation link is followed. Only a hash of the link's token is stored.
 const SubscriberSchema = new mongoose.Schema({
-  email: String,
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true, maxlength: 254 },
+  status: { type: String, enum: ['pending', 'active'], default: 'pending' },
+  confirmTokenHash: { type: String, index: { unique: true, sparse: true } },
+  confirmTokenExpiresAt: Date,
+  confirmedAt: Date,
+  // Emails about new jobs matching these preferences; see lib/jobAlerts.js
+  jobAlerts: {
+    frequency: { type: String, enum: JOB_ALERT_FREQUENCIES, default: 'off' },
+    keywords: [{ type: String, trim: true, maxlength: 50 }],
+    industries: [{ type: String, enum: JOB_INDUSTRIES }],
+    locations: [{ type: String, trim: true, maxlength: 50 }],
+    // Jobs published after this go into the next digest
+    lastSentAt: Date
+  },
   createdAt: { type: Date, default: Date.now }
 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// India Standard Time, UTC+5:30 all year round
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Expiry dates are picked as a day (a date-only value arrives as UTC midnight),
+// and the job takes applications until that day ends in India
+function endOfDayInIndia(value) {
+  if (value == null || value === '') return value;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return value;
+  const day = Math.floor((time + IST_OFFSET_MS) / DAY_MS);
+  return new Date((day + 1) * DAY_MS - IST_OFFSET_MS - 1);
+}
+
+const JobSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true },
+  location: { type: String, required: true, trim: true },
+  industry: { type: String, enum: JOB_INDUSTRIES },
+  employmentType: { type: String, enum: EMPLOYMENT_TYPES },
+  // Years of experience wanted
+  experienceMin: { type: Number, min: 0 },
+  experienceMax: { type: Number, min: 0 },
+  // Annual CTC offered, in lakhs (LPA) like the CTCs on applications
+  salaryMin: { type: Number, min: 0 },
+  salaryMax: { type: Number, min: 0 },
+  openings: { type: Number, min: 1, default: 1 },
+  description: { type: String, trim: true },
+  postedDate: { type: Date, default: Date.now },
+  // The job closes automatically once this day is over; see endOfDayInIndia
+  expiresAt: { type: Date, set: endOfDayInIndia },
+  status: { type: String, enum: JOB_STATUSES, default: 'published', index: true },
+  // When the job was first published; job alerts pick up jobs by this
+  publishedAt: { type: Date, index: true },
+  // Id the job had in the admin's localStorage before jobs moved to the server
+  legacyId: { type: String, index: { unique: true, sparse: true } },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: { createdAt: false, updatedAt: true }, toJSON: { virtuals: true } });
+// Shareable detail page, also listed in the sitemap
+JobSchema.virtual('url').get(function () {
+  return seo.jobUrl(this);
+});
+JobSchema.index(
+  { title: 'text', company: 'text', description: 'text' },
+  { weights: { title: 5, company: 3, description: 1 }, name: 'JobTextIndex' }
+);
+JobSchema.pre('validate', function () {
+  if (this.experienceMin != null && this.experienceMax != null && this.experienceMin > this.experienceMax) {
+    this.invalidate('experienceMax', 'Maximum experience must not be less than the minimum.');
+  }
+  if (this.salaryMin != null && this.salaryMax != null && this.salaryMin > this.salaryMax) {
+    this.invalidate('salaryMax', 'Maximum CTC must not be less than the minimum.');
+  }
+  if (this.status === 'published' && this.expiresAt && this.expiresAt <= Date.now() &&
+    (this.isModified('status') || this.isModified('expiresAt'))) {
+    this.invalidate('expiresAt', 'Expiry date must be in the future to publish the job.');
+  }
+  // Jobs published before publishedAt existed are left without one, so editing
+  // them doesn't send them out as new in job alerts
+  if (this.status === 'published' && !this.publishedAt && (this.isNew || this.isModified('status'))) {
+    this.publishedAt = new Date();
+  }
+});
+
+// Reference numbers shown to candidates after applying (e.g. MC-250305-7KQ2X)
+// and on help tickets (HT-...). Ambiguous characters (0/O, 1/I) are left out
+// so they can be read over the phone.
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateReference(prefix) {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(5), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `${prefix}-${date}-${suffix}`;
+}
+
+// Recruitment pipeline an application moves through, in order
+const APPLICATION_STAGES = ['received', 'screened', 'interview', 'offered', 'placed', 'rejected'];
+
+const StageChangeSchema = new mongoose.Schema({
+  stage: { type: String, enum: APPLICATION_STAGES, required: true },
+  changedAt: { type: Date, default: Date.now },
+  // Empty for the initial 'received' entry, which is recorded when the candidate applies
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  note: { type: String, trim: true }
+}, { _id: false });
+
 const JobApplicationSchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  phone: String,
-  position: String,
+  referenceNumber: { type: String, unique: true, default: () => generateReference('MC') },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+  phone: { type: String, required: true, trim: true },
+  position: { type: String, trim: true, maxlength: 200 },
+  experienceYears: Number,
+  // CTC figures are in lakhs per annum
+  currentCtc: Number,
+  expectedCtc: Number,
+  noticePeriodDays: Number,
   resumeUrl: String,
+  // Set when the resume was uploaded rather than linked; the file lives in RESUME_UPLOAD_DIR
+  resumeFile: {
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  stage: { type: String, enum: APPLICATION_STAGES, default: 'received', index: true },
+  stageHistory: {
+    type: [StageChangeSchema],
+    default: () => [{ stage: 'received' }]
+  },
   createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true } });
+
+// Requests from the callback, partnership and help forms. Each kind is worked
+// through as its own queue in the admin panel.
+const REQUEST_STATUSES = ['new', 'in-progress', 'closed'];
+
+const CallbackRequestSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  phone: { type: String, required: true, trim: true },
+  email: { type: String, trim: true, lowercase: true, maxlength: 254 },
+  // When the caller would like to be phoned, in their own words
+  preferredTime: { type: String, trim: true, maxlength: 100 },
+  message: { type: String, trim: true, maxlength: 2000 },
+  status: { type: String, enum: REQUEST_STATUSES, default: 'new', index: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { toJSON: { virtuals: true } });
+
+const PartnershipInquirySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+  phone: { type: String, trim: true },
+  company: { type: String, required: true, trim: true, maxlength: 200 },
+  partnershipType: { type: String, trim: true, maxlength: 100 },
+  message: { type: String, required: true, trim: true, maxlength: 5000 },
+  status: { type: String, enum: REQUEST_STATUSES, default: 'new', index: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { toJSON: { virtuals: true } });
+
+const HelpTicketSchema = new mongoose.Schema({
+  referenceNumber: { type: String, unique: true, default: () => generateReference('HT') },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+  phone: { type: String, trim: true },
+  category: { type: String, trim: true, maxlength: 100 },
+  subject: { type: String, required: true, trim: true, maxlength: 200 },
+  message: { type: String, required: true, trim: true, maxlength: 5000 },
+  status: { type: String, enum: REQUEST_STATUSES, default: 'new', index: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { toJSON: { virtuals: true } });
+
+// Photo gallery. Albums appear on gallery.html once published, in the order
+// admins arrange them; so do the photos within an album.
+const GALLERY_CATEGORIES = ['events', 'training', 'office'];
+const ALBUM_STATUSES = ['draft', 'published'];
+
+const GalleryPhotoSchema = new mongoose.Schema({
+  // Stored by lib/gallery.js under GALLERY_UPLOAD_DIR
+  filename: { type: String, required: true },
+  thumbnailFilename: { type: String, required: true },
+  width: Number,
+  height: Number,
+  caption: { type: String, trim: true, maxlength: 300 },
+  uploadedAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true } });
+GalleryPhotoSchema.virtual('url').get(function () {
+  return gallery.galleryImageUrl(this.filename);
+});
+GalleryPhotoSchema.virtual('thumbnailUrl').get(function () {
+  return gallery.galleryImageUrl(this.thumbnailFilename);
+});
+
+const GalleryAlbumSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 100 },
+  category: { type: String, enum: GALLERY_CATEGORIES, required: true },
+  description: { type: String, trim: true, maxlength: 1000 },
+  status: { type: String, enum: ALBUM_STATUSES, default: 'draft', index: true },
+  order: { type: Number, default: 0 },
+  photos: [GalleryPhotoSchema],
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true } });
+GalleryAlbumSchema.pre('validate', function () {
+  if (this.status === 'published' && !this.photos.length && this.isModified('status')) {
+    this.invalidate('status', 'Add photos to the album before publishing it.');
+  }
+});
+
+// Clients whose logos appear in the slider on index.html and, grouped by
+// industry, on industries_served.html. Hidden clients are kept for the admin
+// panel only.
+const ClientSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Stored by lib/clientLogos.js under CLIENT_LOGO_DIR
+  logoFilename: { type: String, required: true },
+  industry: { type: String, enum: JOB_INDUSTRIES },
+  website: { type: String, trim: true, maxlength: 300 },
+  order: { type: Number, default: 0 },
+  visible: { type: Boolean, default: true, index: true },
+  createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true } });
+ClientSchema.virtual('logoUrl').get(function () {
+  return clientLogos.clientLogoUrl(this.logoFilename);
 });
 
 const Contact = mongoose.model('Contact', ContactSchema);
 const Subscriber = mongoose.model('Subscriber', SubscriberSchema);
+const Job = mongoose.model('Job', JobSchema);
 const JobApplication = mongoose.model('JobApplication', JobApplicationSchema);
+const CallbackRequest = mongoose.model('CallbackRequest', CallbackRequestSchema);
+const PartnershipInquiry = mongoose.model('PartnershipInquiry', PartnershipInquirySchema);
+const HelpTicket = mongoose.model('HelpTicket', HelpTicketSchema);
+const GalleryAlbum = mongoose.model('GalleryAlbum', GalleryAlbumSchema);
+const Client = mongoose.model('Client', ClientSchema);
+
+// Validation rules for request bodies (see lib/validation.js)
+const loginRules = {
+  username: { type: 'string', required: true, maxLength: 100 },
+  password: { type: 'string', required: true, maxLength: 200 },
+};
+const contactRules = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  email: { type: 'email', required: true },
+  subject: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+  message: { type: 'string', required: true, minLength: 10, maxLength: 5000, multiline: true },
+};
+const subscribeRules = {
+  email: { type: 'email', required: true },
+};
+const jobAlertRules = {
+  email: { type: 'email', required: true },
+  sig: { type: 'string', required: true, maxLength: 200, label: 'Link signature' },
+  frequency: { type: 'enum', values: JOB_ALERT_FREQUENCIES, required: true },
+  keywords: { type: 'list', maxItems: 10, maxLength: 50 },
+  industries: { type: 'list', values: JOB_INDUSTRIES },
+  locations: { type: 'list', maxItems: 10, maxLength: 50 },
+};
+const jobApplicationRules = {
+  job: { type: 'objectId', label: 'Job' },
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'phone', required: true },
+  position: { type: 'string', maxLength: 200 },
+  experienceYears: { type: 'number', min: 0, max: 60, label: 'Experience' },
+  currentCtc: { type: 'number', min: 0, max: 1000, label: 'Current CTC' },
+  expectedCtc: { type: 'number', min: 0, max: 1000, label: 'Expected CTC' },
+  noticePeriodDays: { type: 'number', min: 0, max: 365, label: 'Notice period' },
+  resumeUrl: { type: 'string', maxLength: 500, label: 'Resume link' },
+};
+const jobRules = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  company: { type: 'string', required: true, maxLength: 200 },
+  location: { type: 'string', required: true, maxLength: 200 },
+  industry: { type: 'enum', values: JOB_INDUSTRIES },
+  employmentType: { type: 'enum', values: EMPLOYMENT_TYPES, label: 'Employment type' },
+  experienceMin: { type: 'number', min: 0, max: 60, label: 'Minimum experience' },
+  experienceMax: { type: 'number', min: 0, max: 60, label: 'Maximum experience' },
+  salaryMin: { type: 'number', min: 0, max: 1000, label: 'Minimum CTC' },
+  salaryMax: { type: 'number', min: 0, max: 1000, label: 'Maximum CTC' },
+  openings: { type: 'number', min: 1, max: 10000, integer: true },
+  description: { type: 'string', maxLength: 10000, multiline: true },
+  postedDate: { type: 'date', label: 'Posted date' },
+  expiresAt: { type: 'date', label: 'Expiry date' },
+  status: { type: 'enum', values: JOB_STATUSES },
+};
+const contactUpdateRules = {
+  read: { type: 'boolean' },
+  archived: { type: 'boolean' },
+  assignedTo: { type: 'objectId', label: 'Assignee' },
+};
+const callbackRequestRules = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  phone: { type: 'phone', required: true },
+  email: { type: 'email' },
+  preferredTime: { type: 'string', maxLength: 100, label: 'Preferred time' },
+  message: { type: 'string', maxLength: 2000, multiline: true },
+};
+const partnershipInquiryRules = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'phone' },
+  company: { type: 'string', required: true, maxLength: 200 },
+  partnershipType: { type: 'string', maxLength: 100, label: 'Partnership type' },
+  message: { type: 'string', required: true, minLength: 10, maxLength: 5000, multiline: true },
+};
+const helpTicketRules = {
+  name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'phone' },
+  category: { type: 'string', maxLength: 100 },
+  subject: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+  message: { type: 'string', required: true, minLength: 10, maxLength: 5000, multiline: true },
+};
+const requestUpdateRules = {
+  status: { type: 'enum', values: REQUEST_STATUSES },
+  assignedTo: { type: 'objectId', label: 'Assignee' },
+};
+const contactNoteRules = {
+  text: { type: 'string', required: true, maxLength: 2000, multiline: true, label: 'Note' },
+};
+const stageChangeRules = {
+  stage: { type: 'enum', values: APPLICATION_STAGES, required: true },
+  note: { type: 'string', maxLength: 2000, multiline: true },
+};
+const galleryAlbumRules = {
+  title: { type: 'string', required: true, maxLength: 100 },
+  category: { type: 'enum', values: GALLERY_CATEGORIES, required: true },
+  description: { type: 'string', maxLength: 1000, multiline: true },
+  status: { type: 'enum', values: ALBUM_STATUSES },
+};
+const galleryPhotoRules = {
+  caption: { type: 'string', maxLength: 300 },
+};
+const albumOrderRules = {
+  albumIds: { type: 'list', required: true, maxLength: 24, label: 'Albums' },
+};
+const photoOrderRules = {
+  photoIds: { type: 'list', required: true, maxLength: 24, label: 'Photos' },
+};
+const clientRules = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  industry: { type: 'enum', values: JOB_INDUSTRIES },
+  website: { type: 'url', maxLength: 300 },
+  visible: { type: 'boolean' },
+};
+const clientOrderRules = {
+  clientIds: { type: 'list', required: true, maxLength: 24, label: 'Clients' },
+};
+
+// Sends a 400 with field errors for Mongoose validation failures, a 500 otherwise
+function sendSaveError(res, err) {
+  if (err.name === 'ValidationError') return sendValidationErrors(res, mongooseValidationErrors(err));
+  res.status(500).json({ success: false, error: err.message });
+}
+
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Builds a createdAt condition from `from` and `to` query params (dates,
+ * both inclusive). Resolves to null when neither is given.
+ * @returns {{ range?: object|null, error?: string }}
+ */
+function createdAtRange(query) {
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === undefined || to === undefined) return { error: 'Invalid date.' };
+  if (!from && !to) return { range: null };
+  const range = {};
+  if (from) range.$gte = from;
+  // `to` is a whole day, so include everything before the next midnight
+  if (to) range.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  return { range };
+}
+
+function exportFormat(query) {
+  return FORMATS.includes(query.format) ? query.format : 'csv';
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 // Routes
-app.post('/api/contact', async (req, res) => {
+app.post('/api/auth/login', validateBody(loginRules), async (req, res) => {
+  try {
+    const session = await login(req.body.username, req.body.password);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password.' });
+    }
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      admin: session.user.toPublicJSON(),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', requireAdmin, async (req, res) => {
+  try {
+    await req.adminSession.deleteOne();
+    res.json({ success: true, message: 'Logged out.' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/auth/me', requireAdmin, (req, res) => {
+  res.json({ success: true, admin: req.admin.toPublicJSON() });
+});
+
+// Team members that contact messages can be assigned to
+app.get('/api/admin-users', requireAdmin, async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ name: 1, username: 1 });
+    res.json({ success: true, users: users.map(user => user.toPublicJSON()) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/contact', rateLimitByIp('contact'), dedupeSubmission('contact'), checkSubmission('contact'), validateBody(contactRules), async (req, res) => {
   try {
     const contact = new Contact(req.body);
     await contact.save();
+    notifications.notifyContactReceived(contact);
     res.status(201).json({ success: true, message: 'Contact form submitted.' });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Contact inbox
+const CONTACTS_MAX_LIMIT = 100;
+// Unread and archived are stored as true/false, but older messages lack the fields
+const UNREAD_CONTACTS = { read: { $ne: true }, archived: { $ne: true } };
+
+function populateContact(query) {
+  return query.populate('assignedTo', 'username name').populate('notes.author', 'username name');
+}
+
+/**
+ * Turns the inbox query params into a Contact filter; shared by the inbox list and its export.
+ * Params: q (searches name, email, subject and message), subject, from and to, status
+ * ('read' or 'unread'), assignedTo (an admin id, 'me' or 'unassigned'), archived ('true'
+ * for the archive instead of the inbox).
+ * @returns {{ filter?: object, error?: string }}
+ */
+function buildContactFilter(query, admin) {
+  const filter = { archived: query.archived === 'true' ? true : { $ne: true } };
+
+  const q = String(query.q || '').trim();
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    filter.$or = ['name', 'email', 'subject', 'message'].map(field => ({ [field]: pattern }));
+  }
+  const subject = String(query.subject || '').trim();
+  if (subject) filter.subject = new RegExp(escapeRegExp(subject), 'i');
+
+  const { range, error } = createdAtRange(query);
+  if (error) return { error };
+  if (range) filter.createdAt = range;
+
+  if (query.status === 'unread') filter.read = { $ne: true };
+  if (query.status === 'read') filter.read = true;
+
+  const { assignedTo } = query;
+  if (assignedTo === 'me') {
+    filter.assignedTo = admin._id;
+  } else if (assignedTo === 'unassigned') {
+    filter.assignedTo = null;
+  } else if (assignedTo) {
+    if (!mongoose.isValidObjectId(assignedTo)) return { error: 'Invalid assignee.' };
+    filter.assignedTo = assignedTo;
+  }
+  return { filter };
+}
+
+// Query params: those of buildContactFilter, plus page and limit
+app.get('/api/contacts', requireAdmin, async (req, res) => {
+  try {
+    const { filter, error } = buildContactFilter(req.query, req.admin);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), CONTACTS_MAX_LIMIT);
+    const [contacts, total, unread] = await Promise.all([
+      populateContact(Contact.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)),
+      Contact.countDocuments(filter),
+      Contact.countDocuments(UNREAD_CONTACTS),
+    ]);
+    res.json({ success: true, contacts, total, page, pages: Math.ceil(total / limit), unread });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Query params: those of buildContactFilter, plus format ('csv' or 'xlsx')
+app.get('/api/contacts/export', requireAdmin, async (req, res) => {
+  try {
+    const { filter, error } = buildContactFilter(req.query, req.admin);
+    if (error) return res.status(400).json({ success: false, error });
+    await sendSpreadsheet(res, {
+      format: exportFormat(req.query),
+      filename: 'contacts',
+      columns: [
+        { header: 'Received', value: contact => contact.createdAt },
+        { header: 'Name', value: contact => contact.name },
+        { header: 'Email', value: contact => contact.email, width: 30 },
+        { header: 'Subject', value: contact => contact.subject, width: 30 },
+        { header: 'Message', value: contact => contact.message, width: 60 },
+        { header: 'Read', value: contact => (contact.read ? 'Yes' : 'No'), width: 8 },
+        { header: 'Assigned To', value: contact => contact.assignedTo && (contact.assignedTo.name || contact.assignedTo.username) },
+        { header: 'Notes', value: contact => (contact.notes || []).map(note => note.text).join('\n'), width: 40 },
+        { header: 'Archived', value: contact => (contact.archived ? 'Yes' : 'No'), width: 10 },
+      ],
+      rows: Contact.find(filter).sort({ createdAt: -1 }).populate('assignedTo', 'username name').lean().cursor(),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/contacts/unread-count', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, unread: await Contact.countDocuments(UNREAD_CONTACTS) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post('/api/subscribe', async (req, res) => {
+// Marks a message read or unread, (un)assigns it or (un)archives it
+app.patch('/api/contacts/:id', requireAdmin, validateBody(contactUpdateRules, { partial: true }), async (req, res) => {
   try {
-    const subscriber = new Subscriber(req.body);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Message not found.' });
+    }
+    if (req.body.assignedTo && !(await AdminUser.exists({ _id: req.body.assignedTo }))) {
+      return sendValidationErrors(res, { assignedTo: 'Assignee is not an admin user.' });
+    }
+    const contact = await populateContact(Contact.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true }));
+    if (!contact) return res.status(404).json({ success: false, error: 'Message not found.' });
+    res.json({ success: true, message: 'Message updated.', contact });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.post('/api/contacts/:id/notes', requireAdmin, validateBody(contactNoteRules), async (req, res) => {
+  try {
+    const contact = mongoose.isValidObjectId(req.params.id) && await Contact.findById(req.params.id);
+    if (!contact) return res.status(404).json({ success: false, error: 'Message not found.' });
+    contact.notes.push({ text: req.body.text, author: req.admin._id });
+    await contact.save();
+    await populateContact(contact);
+    res.status(201).json({ success: true, message: 'Note added.', contact });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Callback, partnership and help requests. Each has a public endpoint for its
+// form and an admin queue; `path` also names the form for spam protection.
+const REQUEST_QUEUES = [
+  {
+    path: 'callback-requests',
+    model: CallbackRequest,
+    rules: callbackRequestRules,
+    searchFields: ['name', 'phone', 'email', 'message'],
+    created: 'Callback request received.',
+    notFound: 'Callback request not found.',
+  },
+  {
+    path: 'partnership-inquiries',
+    model: PartnershipInquiry,
+    rules: partnershipInquiryRules,
+    searchFields: ['name', 'email', 'company', 'message'],
+    created: 'Partnership inquiry received.',
+    notFound: 'Partnership inquiry not found.',
+  },
+  {
+    path: 'help-tickets',
+    model: HelpTicket,
+    rules: helpTicketRules,
+    searchFields: ['referenceNumber', 'name', 'email', 'subject', 'message'],
+    created: 'Help ticket created.',
+    notFound: 'Help ticket not found.',
+  },
+];
+const REQUESTS_MAX_LIMIT = 100;
+
+REQUEST_QUEUES.forEach(({ path, model, rules, searchFields, created, notFound }) => {
+  app.post(`/api/${path}`, rateLimitByIp(path), dedupeSubmission(path), checkSubmission(path), validateBody(rules), async (req, res) => {
+    try {
+      const request = await model.create(req.body);
+      res.status(201).json({ success: true, message: created, referenceNumber: request.referenceNumber });
+    } catch (err) {
+      sendSaveError(res, err);
+    }
+  });
+
+  // Query params: status, q (searches searchFields), page and limit. `open` counts new requests.
+  app.get(`/api/${path}`, requireAdmin, async (req, res) => {
+    try {
+      const filter = {};
+      if (REQUEST_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+      const q = String(req.query.q || '').trim();
+      if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        filter.$or = searchFields.map(field => ({ [field]: pattern }));
+      }
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), REQUESTS_MAX_LIMIT);
+      const [requests, total, open] = await Promise.all([
+        model.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate('assignedTo', 'username name'),
+        model.countDocuments(filter),
+        model.countDocuments({ status: 'new' }),
+      ]);
+      res.json({ success: true, requests, total, page, pages: Math.ceil(total / limit), open });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  app.patch(`/api/${path}/:id`, requireAdmin, validateBody(requestUpdateRules, { partial: true }), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ success: false, error: notFound });
+      if (req.body.status === null) return sendValidationErrors(res, { status: 'Status is required.' });
+      if (req.body.assignedTo && !(await AdminUser.exists({ _id: req.body.assignedTo }))) {
+        return sendValidationErrors(res, { assignedTo: 'Assignee is not an admin user.' });
+      }
+      const request = await model.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+        .populate('assignedTo', 'username name');
+      if (!request) return res.status(404).json({ success: false, error: notFound });
+      res.json({ success: true, message: 'Request updated.', request });
+    } catch (err) {
+      sendSaveError(res, err);
+    }
+  });
+});
+
+const CHECK_INBOX_MESSAGE = 'Almost done! Please check your inbox to confirm your subscription.';
+
+// Subscribing again is safe: an active address is left alone and a pending one
+// just gets a fresh confirmation link.
+app.post('/api/subscribe', rateLimitByIp('subscribe'), dedupeSubmission('subscribe'), checkSubmission('subscribe'), validateBody(subscribeRules), async (req, res) => {
+  try {
+    const existing = await Subscriber.findOne({ email: req.body.email });
+    if (existing && existing.status === 'active') {
+      return res.json({ success: true, message: 'You are already subscribed to our newsletter.' });
+    }
+    const subscriber = existing || new Subscriber(req.body);
+    const { token, tokenHash, expiresAt } = newsletter.createConfirmToken();
+    subscriber.confirmTokenHash = tokenHash;
+    subscriber.confirmTokenExpiresAt = expiresAt;
+    await subscriber.save();
+    newsletter.sendConfirmationEmail(subscriber.email, token);
+    res.status(existing ? 200 : 201).json({ success: true, message: CHECK_INBOX_MESSAGE });
+  } catch (err) {
+    // Two requests for a new address raced; the other one sent the link
+    if (err.code === 11000) return res.json({ success: true, message: CHECK_INBOX_MESSAGE });
+    sendSaveError(res, err);
+  }
+});
+
+app.get('/api/subscribe/confirm', async (req, res) => {
+  try {
+    const token = String(req.query.token || '');
+    const subscriber = token && await Subscriber.findOneAndUpdate(
+      { confirmTokenHash: newsletter.hashToken(token), confirmTokenExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'active', confirmedAt: new Date() }, $unset: { confirmTokenHash: 1, confirmTokenExpiresAt: 1 } },
+      { new: true }
+    );
+    if (!subscriber) {
+      return newsletter.sendNewsletterPage(res, 400, 'Link expired',
+        'This confirmation link is invalid or has already been used. Please subscribe again from our website.');
+    }
+    newsletter.sendNewsletterPage(res, 200, 'Subscription confirmed',
+      `Thank you! ${subscriber.email} will now receive our newsletter.`,
+      { href: newsletter.jobAlertsUrl(subscriber.email), label: 'Get emailed about new jobs that match what you are looking for' });
+  } catch (err) {
+    newsletter.sendNewsletterPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+  }
+});
+
+// Links carry an HMAC of the address, so nobody can unsubscribe someone else
+app.get('/api/unsubscribe', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (!email || !newsletter.isValidUnsubscribeSignature(email, req.query.sig)) {
+      return newsletter.sendNewsletterPage(res, 400, 'Invalid link',
+        'This unsubscribe link is not valid. Please use the link from one of our emails.');
+    }
+    await Subscriber.deleteOne({ email });
+    newsletter.sendNewsletterPage(res, 200, 'Unsubscribed',
+      `${email} has been removed from our newsletter. You will not receive further emails.`);
+  } catch (err) {
+    newsletter.sendNewsletterPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+  }
+});
+
+function jobAlertsJson(subscriber) {
+  const { frequency, keywords, industries, locations } = subscriber.jobAlerts;
+  return { email: subscriber.email, frequency, keywords, industries, locations };
+}
+
+// Job alert preferences, managed from the signed link in newsletter emails.
+// Query params: email, sig
+app.get('/api/job-alerts', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (!email || !newsletter.isValidJobAlertsSignature(email, req.query.sig)) {
+      return res.status(403).json({ success: false, error: 'This link is not valid. Please use the link from one of our emails.' });
+    }
+    const subscriber = await Subscriber.findOne({ email, status: 'active' });
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: 'This address is not subscribed to our newsletter. Please subscribe again from our website.' });
+    }
+    res.json({ success: true, jobAlerts: jobAlertsJson(subscriber) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/job-alerts', rateLimitByIp('job-alerts'), validateBody(jobAlertRules), async (req, res) => {
+  try {
+    const { email, sig, frequency, keywords = [], industries = [], locations = [] } = req.body;
+    if (!newsletter.isValidJobAlertsSignature(email, sig)) {
+      return res.status(403).json({ success: false, error: 'This link is not valid. Please use the link from one of our emails.' });
+    }
+    const subscriber = await Subscriber.findOne({ email, status: 'active' });
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: 'This address is not subscribed to our newsletter. Please subscribe again from our website.' });
+    }
+    // The first digest covers jobs published from now on, not the whole backlog
+    if (subscriber.jobAlerts.frequency === 'off' && frequency !== 'off') subscriber.jobAlerts.lastSentAt = new Date();
+    Object.assign(subscriber.jobAlerts, { frequency, keywords, industries, locations });
     await subscriber.save();
-    res.status(201).json({ success: true, message: 'Subscribed successfully.' });
+    res.json({
+      success: true,
+      message: frequency === 'off' ? 'Job alerts are turned off.' : `Saved. We will email you ${frequency === 'daily' ? 'daily' : 'weekly'} when matching jobs are published.`,
+      jobAlerts: jobAlertsJson(subscriber),
+    });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Query params: status ('active' or 'pending'), from and to (dates subscribed, inclusive),
+// format ('csv' or 'xlsx')
+app.get('/api/subscribers/export', requireAdmin, async (req, res) => {
+  try {
+    const { range, error } = createdAtRange(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const filter = {};
+    if (range) filter.createdAt = range;
+    if (req.query.status === 'active' || req.query.status === 'pending') filter.status = req.query.status;
+    await sendSpreadsheet(res, {
+      format: exportFormat(req.query),
+      filename: 'subscribers',
+      columns: [
+        { header: 'Email', value: subscriber => subscriber.email, width: 35 },
+        { header: 'Status', value: subscriber => subscriber.status },
+        { header: 'Subscribed', value: subscriber => subscriber.createdAt },
+        { header: 'Confirmed', value: subscriber => subscriber.confirmedAt },
+      ],
+      rows: Subscriber.find(filter, 'email status createdAt confirmedAt').sort({ createdAt: -1 }).lean().cursor(),
+    });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-app.post('/api/job-application', async (req, res) => {
+// Accepts either JSON or multipart/form-data with an optional `resume` file
+app.post('/api/job-application', rateLimitByIp('job-application'), resumeUpload, dedupeSubmission('job-application'), checkSubmission('job-application'), validateBody(jobApplicationRules), async (req, res) => {
   try {
-    const jobApp = new JobApplication(req.body);
+    const { job: jobId, ...fields } = req.body;
+    const jobApp = new JobApplication(fields);
+    let job = null;
+    if (jobId) {
+      job = await Job.findOne({ _id: jobId, ...openJobsFilter() });
+      if (!job) {
+        removeUpload(req.file);
+        return sendValidationErrors(res, { job: 'The job you applied for is no longer available.' });
+      }
+      jobApp.job = job._id;
+      if (!jobApp.position) jobApp.position = job.title;
+    }
+    if (req.file) {
+      jobApp.resumeFile = {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      };
+      jobApp.resumeUrl = `/api/job-applications/${jobApp.id}/resume`;
+    }
     await jobApp.save();
-    res.status(201).json({ success: true, message: 'Job application submitted.' });
+    notifications.notifyApplicationReceived(jobApp, job);
+    res.status(201).json({
+      success: true,
+      message: 'Job application submitted.',
+      referenceNumber: jobApp.referenceNumber,
+    });
+  } catch (err) {
+    removeUpload(req.file);
+    sendSaveError(res, err);
+  }
+});
+
+/**
+ * Turns the board's query params into a JobApplication filter; shared by the board and its export.
+ * Params: job (job id), stage, from and to (dates the application came in, inclusive).
+ * @returns {{ filter?: object, error?: string }}
+ */
+function buildApplicationFilter(query) {
+  const filter = {};
+  if (query.job) {
+    if (!mongoose.isValidObjectId(query.job)) return { error: 'Invalid job id.' };
+    filter.job = query.job;
+  }
+  if (query.stage) {
+    if (!APPLICATION_STAGES.includes(query.stage)) return { error: 'Invalid stage.' };
+    // Applications saved before the pipeline existed have no stage and count as received
+    filter.stage = query.stage === 'received' ? { $in: ['received', null] } : query.stage;
+  }
+  const { range, error } = createdAtRange(query);
+  if (error) return { error };
+  if (range) filter.createdAt = range;
+  return { filter };
+}
+
+// Query params: those of buildApplicationFilter
+app.get('/api/job-applications', requireAdmin, async (req, res) => {
+  try {
+    const { filter, error } = buildApplicationFilter(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    const applications = await JobApplication.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('job', 'title company')
+      .populate('stageHistory.changedBy', 'username name');
+    res.json({ success: true, stages: APPLICATION_STAGES, applications });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Query params: those of buildApplicationFilter, plus format ('csv' or 'xlsx')
+app.get('/api/job-applications/export', requireAdmin, async (req, res) => {
+  try {
+    const { filter, error } = buildApplicationFilter(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+    await sendSpreadsheet(res, {
+      format: exportFormat(req.query),
+      filename: 'job-applications',
+      columns: [
+        { header: 'Reference', value: application => application.referenceNumber },
+        { header: 'Applied', value: application => application.createdAt },
+        { header: 'Name', value: application => application.name },
+        { header: 'Email', value: application => application.email, width: 30 },
+        { header: 'Phone', value: application => application.phone },
+        { header: 'Position', value: application => application.position || (application.job && application.job.title), width: 30 },
+        { header: 'Company', value: application => application.job && application.job.company, width: 30 },
+        { header: 'Experience (years)', value: application => application.experienceYears },
+        { header: 'Current CTC (LPA)', value: application => application.currentCtc },
+        { header: 'Expected CTC (LPA)', value: application => application.expectedCtc },
+        { header: 'Notice Period (days)', value: application => application.noticePeriodDays },
+        { header: 'Stage', value: application => application.stage || 'received' },
+      ],
+      rows: JobApplication.find(filter).sort({ createdAt: -1 }).populate('job', 'title company').lean().cursor(),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Moves an application to another pipeline stage and logs who did it
+app.patch('/api/job-applications/:id/stage', requireAdmin, validateBody(stageChangeRules), async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+    const jobApp = mongoose.isValidObjectId(req.params.id) && await JobApplication.findById(req.params.id);
+    if (!jobApp) return res.status(404).json({ success: false, error: 'Application not found.' });
+
+    jobApp.stage = stage;
+    jobApp.stageHistory.push({ stage, changedBy: req.admin._id, note });
+    await jobApp.save();
+    await jobApp.populate([
+      { path: 'job', select: 'title company' },
+      { path: 'stageHistory.changedBy', select: 'username name' },
+    ]);
+    res.json({ success: true, message: `Application moved to ${stage}.`, application: jobApp });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Number of candidates placed with each client company
+app.get('/api/reports/placements', requireAdmin, async (req, res) => {
+  try {
+    const placements = await JobApplication.aggregate([
+      { $match: { stage: 'placed' } },
+      { $lookup: { from: Job.collection.name, localField: 'job', foreignField: '_id', as: 'job' } },
+      { $unwind: { path: '$job', preserveNullAndEmptyArrays: true } },
+      { $group: { _id: { $ifNull: ['$job.company', 'Unknown'] }, placements: { $sum: 1 } } },
+      { $project: { _id: 0, company: '$_id', placements: 1 } },
+      { $sort: { placements: -1, company: 1 } },
+    ]);
+    res.json({ success: true, placements });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Submissions turned away by spam protection, per day, form and reason (lib/spam.js)
+app.get('/api/reports/blocked-submissions', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const report = await getBlockedSubmissionReport(days);
+    res.json({ success: true, days, ...report });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/job-applications/:id/resume', requireAdmin, async (req, res) => {
+  try {
+    const jobApp = mongoose.isValidObjectId(req.params.id) && await JobApplication.findById(req.params.id);
+    const filePath = jobApp && jobApp.resumeFile && jobApp.resumeFile.filename && resumePath(jobApp.resumeFile.filename);
+    if (!filePath) return res.status(404).json({ success: false, error: 'Resume not found.' });
+    res.download(filePath, jobApp.resumeFile.originalName, err => {
+      if (err && !res.headersSent) res.status(404).json({ success: false, error: 'Resume not found.' });
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Jobs
+const JOB_FIELDS = Object.keys(jobRules);
+const JOB_SEARCH_MAX_LIMIT = 50;
+
+function pickJobFields(body) {
+  const job = {};
+  JOB_FIELDS.forEach(field => {
+    if (body[field] !== undefined) job[field] = body[field];
+  });
+  return job;
+}
+
+// Jobs candidates can see and apply for. Expired jobs are left out even before
+// closeExpiredJobs has got round to closing them.
+function openJobsFilter() {
+  return { status: 'published', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+}
+
+// Open jobs narrowed by the public search filters
+function searchJobsFilter({ q, location, industry }) {
+  const filter = openJobsFilter();
+  if (q) filter.$text = { $search: q };
+  if (location) filter.location = new RegExp(escapeRegExp(location), 'i');
+  if (industry) filter.industry = industry;
+  return filter;
+}
+
+function isJobOpen(job) {
+  return job.status === 'published' && (!job.expiresAt || job.expiresAt > Date.now());
+}
+
+const JOB_EXPIRY_CHECK_MINUTES = Number(process.env.JOB_EXPIRY_CHECK_MINUTES) || 60;
+
+async function closeExpiredJobs() {
+  try {
+    const result = await Job.updateMany(
+      { status: 'published', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'closed' } }
+    );
+    if (result.modifiedCount) console.log(`Closed ${result.modifiedCount} expired job listing(s).`);
+  } catch (err) {
+    console.error('Failed to close expired jobs:', err.message);
+  }
+}
+
+db.once('open', () => {
+  closeExpiredJobs();
+  setInterval(closeExpiredJobs, JOB_EXPIRY_CHECK_MINUTES * 60 * 1000);
+});
+
+const JOB_ALERT_CHECK_MINUTES = Number(process.env.JOB_ALERT_CHECK_MINUTES) || 60;
+
+/**
+ * Sends every subscriber whose daily or weekly digest is due the open jobs
+ * published since their last one that match their preferences. Subscribers
+ * are claimed one at a time by moving lastSentAt, so two servers running
+ * this at once can't send the same digest twice.
+ */
+async function sendJobAlertDigests() {
+  try {
+    const now = new Date();
+    const slackMs = JOB_ALERT_CHECK_MINUTES * 60 * 1000 / 2;
+    const subscribers = await Subscriber.find({ status: 'active', 'jobAlerts.frequency': { $in: ['daily', 'weekly'] } });
+    const due = subscribers.filter(subscriber => jobAlerts.isDigestDue(subscriber.jobAlerts, now, slackMs));
+    if (!due.length) return;
+
+    // Digests never look back further than a week (plus slack), so one query serves them all
+    const oldest = new Date(now - jobAlerts.FREQUENCY_INTERVALS.weekly - DAY_MS);
+    const jobs = await Job.find({ ...openJobsFilter(), publishedAt: { $gt: oldest, $lte: now } })
+      .sort({ publishedAt: -1 })
+      .lean();
+
+    let sent = 0;
+    for (const subscriber of due) {
+      const { lastSentAt } = subscriber.jobAlerts;
+      const claimed = await Subscriber.updateOne(
+        { _id: subscriber._id, 'jobAlerts.lastSentAt': lastSentAt || null },
+        { $set: { 'jobAlerts.lastSentAt': now } }
+      );
+      if (!claimed.modifiedCount) continue;
+      const since = Math.max(lastSentAt || 0, oldest);
+      const matches = jobs
+        .filter(job => job.publishedAt > since && jobAlerts.matchesPreferences(job, subscriber.jobAlerts))
+        .slice(0, jobAlerts.JOB_ALERT_MAX_JOBS);
+      if (!matches.length) continue;
+      if (await jobAlerts.sendJobAlertDigest(subscriber, matches)) {
+        sent += 1;
+      } else {
+        // Try again at the next check rather than dropping these jobs
+        await Subscriber.updateOne(
+          { _id: subscriber._id, 'jobAlerts.lastSentAt': now },
+          { $set: { 'jobAlerts.lastSentAt': lastSentAt } }
+        );
+      }
+    }
+    if (sent) console.log(`Sent ${sent} job alert digest(s).`);
+  } catch (err) {
+    console.error('Failed to send job alert digests:', err.message);
+  }
+}
+
+db.once('open', () => {
+  sendJobAlertDigests();
+  setInterval(sendJobAlertDigests, JOB_ALERT_CHECK_MINUTES * 60 * 1000);
+});
+
+// Detail page of an open job, with JobPosting structured data for job search
+// aggregators. Links with an outdated title in the slug redirect to the current one.
+app.get('/jobs/:slug', async (req, res) => {
+  try {
+    const id = seo.jobIdFromSlug(req.params.slug);
+    const job = id && await Job.findById(id);
+    if (!job || job.status === 'draft') return res.status(404).type('html').send(seo.renderJobUnavailablePage());
+    // 410 tells search engines the posting is gone for good
+    if (!isJobOpen(job)) return res.status(410).type('html').send(seo.renderJobUnavailablePage());
+    if (req.path !== seo.jobPath(job)) return res.redirect(301, seo.jobPath(job));
+    res.type('html').send(seo.renderJobPage(job));
+  } catch (err) {
+    res.status(500).type('html').send(seo.renderJobUnavailablePage());
+  }
+});
+
+// Built from the database on every request, so it always lists exactly the open jobs
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const jobs = await Job.find(openJobsFilter(), 'title company location postedDate createdAt updatedAt')
+      .sort({ postedDate: -1 })
+      .lean();
+    res.type('application/xml').send(seo.renderSitemap(jobs));
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Feeds of the newest open jobs for feed readers and partner portals.
+// Query params: industry, location
+const JOB_FEED_SIZE = 50;
+
+['rss', 'atom'].forEach(format => {
+  app.get(`/jobs.${format}`, async (req, res) => {
+    try {
+      const filters = {
+        industry: String(req.query.industry || '').trim(),
+        location: String(req.query.location || '').trim(),
+      };
+      const jobs = await Job.find(searchJobsFilter(filters))
+        .sort({ postedDate: -1, createdAt: -1 })
+        .limit(JOB_FEED_SIZE)
+        .lean();
+      sendJobFeed(req, res, jobs, { format, filters });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send(seo.renderRobotsTxt());
+});
+
+// Query params: status ('draft', 'published', 'closed' or 'all'), admins only.
+// Without it only open jobs are listed.
+app.get('/api/jobs', (req, res, next) => (req.query.status ? requireAdmin(req, res, next) : next()), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && status !== 'all' && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Unknown job status.' });
+    }
+    const filter = !status ? openJobsFilter() : status === 'all' ? {} : { status };
+    const jobs = await Job.find(filter).sort({ postedDate: -1, createdAt: -1 });
+    res.json({ success: true, jobs });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Query params: q (keywords), location, industry, sort ('newest' or 'oldest'), page, limit
+app.get('/api/jobs/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const location = String(req.query.location || '').trim();
+    const industry = String(req.query.industry || '').trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), JOB_SEARCH_MAX_LIMIT);
+    const sortDirection = req.query.sort === 'oldest' ? 1 : -1;
+
+    const filter = searchJobsFilter({ q, location, industry });
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ postedDate: sortDirection, createdAt: sortDirection })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+    ]);
+    res.json({ success: true, jobs, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+    const job = await Job.findOne({ _id: req.params.id, ...openJobsFilter() });
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found.' });
+    res.json({ success: true, job });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/jobs', requireAdmin, validateBody(jobRules), async (req, res) => {
+  try {
+    const job = new Job(req.body);
+    await job.save();
+    res.status(201).json({ success: true, message: 'Job listing added.', job });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Imports jobs an admin created while jobs were still kept in localStorage.
+// Safe to call repeatedly: jobs already imported are matched on their old id.
+// Jobs without an id or that fail validation are skipped rather than failing
+// the batch, and listed in `rejected` by their position in `jobs` so the admin
+// panel can keep them.
+app.post('/api/jobs/import', requireAdmin, async (req, res) => {
+  try {
+    const legacyJobs = Array.isArray(req.body.jobs) ? req.body.jobs : [];
+    let imported = 0;
+    const rejected = [];
+    for (const [index, legacyJob] of legacyJobs.entries()) {
+      if (!legacyJob || !legacyJob.id) {
+        rejected.push({ index, errors: { id: 'Id is required.' } });
+        continue;
+      }
+      const { values, errors } = validate(jobRules, pickJobFields(legacyJob));
+      if (errors) {
+        rejected.push({ index, errors });
+        continue;
+      }
+      const result = await Job.updateOne(
+        { legacyId: String(legacyJob.id) },
+        { $setOnInsert: { ...values, legacyId: String(legacyJob.id) } },
+        { upsert: true, runValidators: true }
+      );
+      imported += result.upsertedCount;
+    }
+    const skipped = rejected.length;
+    const message = `Imported ${imported} job listing(s)` + (skipped ? `, skipped ${skipped} invalid.` : '.');
+    res.json({ success: true, message, imported, skipped, rejected });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Bulk import from a client's requirement sheet: multipart/form-data with a CSV
+// or JSON `file`, an optional `mapping` (JSON object of column heading to job
+// field; guessed from the headings when left out) and `dryRun=true` to only
+// preview. Every row is validated; valid rows that match an existing job (or
+// an earlier row) on title, company and location are skipped as duplicates.
+app.post('/api/jobs/bulk-import', requireAdmin, jobImportUpload, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === 'true';
+    const { columns, records, error: fileError } = jobImport.readImportFile(req.file);
+    if (fileError) return res.status(400).json({ success: false, error: fileError });
+    const { mapping, error: mappingError } = jobImport.resolveMapping(req.body.mapping, columns, JOB_FIELDS);
+    if (mappingError) return res.status(400).json({ success: false, error: mappingError });
+
+    const rows = records.map((record, index) => {
+      const body = jobImport.mapRecord(record, mapping);
+      const { values, errors: fieldErrors } = validate(jobRules, body);
+      // Checks that span fields, like experience ranges, live on the schema
+      const schemaError = !fieldErrors && new Job(values).validateSync();
+      const errors = fieldErrors || (schemaError ? mongooseValidationErrors(schemaError) : null);
+      // Row numbers count the heading row of a CSV file, as a spreadsheet shows them
+      return errors
+        ? { row: index + 2, status: 'rejected', values: body, errors }
+        : { row: index + 2, status: 'valid', values };
+    });
+
+    const validRows = rows.filter(row => row.status === 'valid');
+    const existing = validRows.length ? await Job.find(
+      { $or: validRows.map(({ values }) => ({ title: values.title, company: values.company, location: values.location })) },
+      'title company location'
+    ).collation({ locale: 'en', strength: 2 }).lean() : [];
+    const jobKey = job => [job.title, job.company, job.location].join('\n').toLowerCase();
+    const seen = new Set(existing.map(jobKey));
+    validRows.forEach(row => {
+      const key = jobKey(row.values);
+      if (seen.has(key)) row.status = 'duplicate';
+      seen.add(key);
+    });
+
+    const newRows = rows.filter(row => row.status === 'valid');
+    if (!dryRun && newRows.length) {
+      await Job.insertMany(newRows.map(row => row.values));
+      newRows.forEach(row => { row.status = 'created'; });
+    }
+
+    const counts = { valid: 0, created: 0, duplicate: 0, rejected: 0 };
+    rows.forEach(row => { counts[row.status]++; });
+    const message = dryRun
+      ? `${counts.valid} job(s) ready to import, ${counts.duplicate} duplicate(s), ${counts.rejected} with errors.`
+      : `Created ${counts.created} job listing(s), skipped ${counts.duplicate} duplicate(s), rejected ${counts.rejected}.`;
+    res.json({
+      success: true,
+      message,
+      dryRun,
+      columns,
+      mapping,
+      fields: JOB_FIELDS.map(field => ({ name: field, label: labelFor(field, jobRules[field]), required: !!jobRules[field].required })),
+      counts,
+      rows,
+    });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.put('/api/jobs/:id', requireAdmin, validateBody(jobRules, { partial: true }), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+    // Loaded and saved rather than updated in place so the schema's range checks run
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found.' });
+    job.set(req.body);
+    await job.save();
+    res.json({ success: true, message: 'Job listing updated.', job });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.delete('/api/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found.' });
+    }
+    const job = await Job.findByIdAndDelete(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found.' });
+    res.json({ success: true, message: 'Job listing deleted.' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Photo gallery
+const ALBUM_NOT_FOUND = { success: false, error: 'Album not found.' };
+const PHOTO_NOT_FOUND = { success: false, error: 'Photo not found.' };
+const ORDER_CHANGED = 'The gallery has changed since it was loaded. Please reload and try again.';
+
+function findAlbum(id) {
+  return mongoose.isValidObjectId(id) ? GalleryAlbum.findById(id) : null;
+}
+
+// Whether `ids` lists every one of `items` exactly once
+function isReordering(ids, items) {
+  const itemIds = new Set(items.map(item => String(item._id)));
+  return ids.length === itemIds.size && new Set(ids).size === ids.length && ids.every(id => itemIds.has(id));
+}
+
+// Published albums with at least one photo, for gallery.html
+app.get('/api/gallery', async (req, res) => {
+  try {
+    const albums = await GalleryAlbum.find({ status: 'published', 'photos.0': { $exists: true } })
+      .sort({ order: 1, createdAt: -1 });
+    res.json({ success: true, albums });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Every album, drafts included
+app.get('/api/gallery/albums', requireAdmin, async (req, res) => {
+  try {
+    const albums = await GalleryAlbum.find().sort({ order: 1, createdAt: -1 });
+    res.json({ success: true, albums });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// New albums start as drafts, after the existing ones
+app.post('/api/gallery/albums', requireAdmin, validateBody(galleryAlbumRules), async (req, res) => {
+  try {
+    const last = await GalleryAlbum.findOne({}, 'order').sort({ order: -1 });
+    const album = new GalleryAlbum({ ...req.body, order: last ? last.order + 1 : 0 });
+    await album.save();
+    res.status(201).json({ success: true, message: 'Album created.', album });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// Body: albumIds, the id of every album in the new order
+app.put('/api/gallery/albums/order', requireAdmin, validateBody(albumOrderRules), async (req, res) => {
+  try {
+    const { albumIds } = req.body;
+    if (!isReordering(albumIds, await GalleryAlbum.find({}, '_id'))) {
+      return res.status(409).json({ success: false, error: ORDER_CHANGED });
+    }
+    await GalleryAlbum.bulkWrite(albumIds.map((id, order) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order } } },
+    })));
+    res.json({ success: true, message: 'Album order saved.' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Edits an album's details, or publishes or unpublishes it
+app.patch('/api/gallery/albums/:id', requireAdmin, validateBody(galleryAlbumRules, { partial: true }), async (req, res) => {
+  try {
+    const album = await findAlbum(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    album.set(req.body);
+    await album.save();
+    res.json({ success: true, message: 'Album updated.', album });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.delete('/api/gallery/albums/:id', requireAdmin, async (req, res) => {
+  try {
+    const album = mongoose.isValidObjectId(req.params.id) && await GalleryAlbum.findByIdAndDelete(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    gallery.removePhotoImages(album.photos);
+    res.json({ success: true, message: 'Album deleted.' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// multipart/form-data with one or more `photos`, added to the end of the album.
+// If any of them isn't a readable image, none are added.
+app.post('/api/gallery/albums/:id/photos', requireAdmin, galleryUpload, async (req, res) => {
+  const stored = [];
+  try {
+    const album = await findAlbum(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    // One at a time, as resizing is heavy on memory
+    for (const file of req.files) {
+      try {
+        stored.push(await gallery.storePhotoImages(file.buffer));
+      } catch (err) {
+        gallery.removePhotoImages(stored);
+        return res.status(400).json({ success: false, error: `${file.originalname} is not a JPEG, PNG or WebP image.` });
+      }
+    }
+    album.photos.push(...stored);
+    await album.save();
+    res.status(201).json({ success: true, message: `Added ${stored.length} photo(s).`, album });
+  } catch (err) {
+    gallery.removePhotoImages(stored);
+    sendSaveError(res, err);
+  }
+});
+
+// Body: photoIds, the id of every photo in the album in the new order
+app.put('/api/gallery/albums/:id/photos/order', requireAdmin, validateBody(photoOrderRules), async (req, res) => {
+  try {
+    const album = await findAlbum(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    const { photoIds } = req.body;
+    if (!isReordering(photoIds, album.photos)) {
+      return res.status(409).json({ success: false, error: ORDER_CHANGED });
+    }
+    album.photos = photoIds.map(id => album.photos.id(id));
+    await album.save();
+    res.json({ success: true, message: 'Photo order saved.', album });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.patch('/api/gallery/albums/:id/photos/:photoId', requireAdmin, validateBody(galleryPhotoRules, { partial: true }), async (req, res) => {
+  try {
+    const album = await findAlbum(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    const photo = album.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json(PHOTO_NOT_FOUND);
+    photo.set(req.body);
+    await album.save();
+    res.json({ success: true, message: 'Photo updated.', album });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+app.delete('/api/gallery/albums/:id/photos/:photoId', requireAdmin, async (req, res) => {
+  try {
+    const album = await findAlbum(req.params.id);
+    if (!album) return res.status(404).json(ALBUM_NOT_FOUND);
+    const photo = album.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json(PHOTO_NOT_FOUND);
+    photo.deleteOne();
+    // An empty album has nothing to show, so it goes back to being a draft
+    if (!album.photos.length) album.status = 'draft';
+    await album.save();
+    gallery.removePhotoImages([photo]);
+    res.json({ success: true, message: 'Photo deleted.', album });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+const CLIENT_NOT_FOUND = { success: false, error: 'Client not found.' };
+const LOGO_REQUIRED = { logo: 'Logo is required.' };
+
+function findClient(id) {
+  return mongoose.isValidObjectId(id) ? Client.findById(id) : null;
+}
+
+// Stores the uploaded logo, answering 400 if it isn't a readable image
+async function storeUploadedLogo(req, res) {
+  try {
+    return await clientLogos.storeClientLogo(req.file.buffer);
+  } catch (err) {
+    res.status(400).json({ success: false, error: `${req.file.originalname} is not a JPEG, PNG or WebP image.` });
+    return null;
+  }
+}
+
+// Visible clients in display order, for the logo slider and the clients grid
+app.get('/api/clients', async (req, res) => {
+  try {
+    const clients = await Client.find({ visible: true }).sort({ order: 1, createdAt: 1 });
+    res.json({ success: true, clients });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Every client, hidden ones included
+app.get('/api/clients/all', requireAdmin, async (req, res) => {
+  try {
+    const clients = await Client.find().sort({ order: 1, createdAt: 1 });
+    res.json({ success: true, clients });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// multipart/form-data with the client's details and a `logo`. New clients go
+// after the existing ones.
+app.post('/api/clients', requireAdmin, clientLogoUpload, validateBody(clientRules), async (req, res) => {
+  if (!req.file) return sendValidationErrors(res, LOGO_REQUIRED);
+  let logoFilename;
+  try {
+    logoFilename = await storeUploadedLogo(req, res);
+    if (!logoFilename) return;
+    const last = await Client.findOne({}, 'order').sort({ order: -1 });
+    const client = new Client({ ...req.body, logoFilename, order: last ? last.order + 1 : 0 });
+    await client.save();
+    res.status(201).json({ success: true, message: 'Client added.', client });
+  } catch (err) {
+    clientLogos.removeClientLogo(logoFilename);
+    sendSaveError(res, err);
+  }
+});
+
+// Body: clientIds, the id of every client in the new order, each listed once
+app.put('/api/clients/order', requireAdmin, validateBody(clientOrderRules), async (req, res) => {
+  try {
+    const { clientIds } = req.body;
+    if (!isReordering(clientIds, await Client.find({}, '_id'))) {
+      return res.status(409).json({ success: false, error: 'The client list has changed since it was loaded. Please reload and try again.' });
+    }
+    await Client.bulkWrite(clientIds.map((id, order) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order } } },
+    })));
+    res.json({ success: true, message: 'Client order saved.' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Edits a client's details, or shows or hides it on the site
+app.patch('/api/clients/:id', requireAdmin, validateBody(clientRules, { partial: true }), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+    if (!client) return res.status(404).json(CLIENT_NOT_FOUND);
+    client.set(req.body);
+    await client.save();
+    res.json({ success: true, message: 'Client updated.', client });
+  } catch (err) {
+    sendSaveError(res, err);
+  }
+});
+
+// multipart/form-data with a new `logo` replacing the current one
+app.put('/api/clients/:id/logo', requireAdmin, clientLogoUpload, async (req, res) => {
+  if (!req.file) return sendValidationErrors(res, LOGO_REQUIRED);
+  let logoFilename;
+  try {
+    const client = await findClient(req.params.id);
+    if (!client) return res.status(404).json(CLIENT_NOT_FOUND);
+    logoFilename = await storeUploadedLogo(req, res);
+    if (!logoFilename) return;
+    const previousLogo = client.logoFilename;
+    client.logoFilename = logoFilename;
+    await client.save();
+    clientLogos.removeClientLogo(previousLogo);
+    res.json({ success: true, message: 'Logo replaced.', client });
+  } catch (err) {
+    clientLogos.removeClientLogo(logoFilename);
+    sendSaveError(res, err);
+  }
+});
+
+app.delete('/api/clients/:id', requireAdmin, async (req, res) => {
+  try {
+    const client = mongoose.isValidObjectId(req.params.id) && await Client.findByIdAndDelete(req.params.id);
+    if (!client) return res.status(404).json(CLIENT_NOT_FOUND);
+    clientLogos.removeClientLogo(client.logoFilename);
+    res.json({ success: true, message: 'Client deleted.' });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -0,0 +1,138 @@
+// Form submissions that failed for lack of a connection are kept in IndexedDB
+// and sent again later. This file is loaded by every page (before scr.js) and
+// by sw.js, which sends the queue from a Background Sync event.
+//
+// Each submission carries the submissionId the page generated for it, so the
+// server can tell a retry from a new submission and never saves one twice.
+
+const SUBMISSION_QUEUE_DB = 'musterd-submissions';
+const SUBMISSION_QUEUE_STORE = 'submissions';
+const SUBMISSION_SYNC_TAG = 'send-submissions';
+
+/**
+ * Generates the id that makes retries of a submission idempotent.
+ * @returns {string} A random UUID.
+ */
+function createSubmissionId() {
+    if (self.crypto && self.crypto.randomUUID) return self.crypto.randomUUID();
+    return Array.from(self.crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} The request's result.
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs `callback` with the queue's object store in a new transaction.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function} callback - Called with the store; returns an IDBRequest.
+ * @returns {Promise<*>} The result of the callback's request.
+ */
+async function withSubmissionStore(mode, callback) {
+    const openRequest = indexedDB.open(SUBMISSION_QUEUE_DB, 1);
+    openRequest.onupgradeneeded = () => {
+        openRequest.result.createObjectStore(SUBMISSION_QUEUE_STORE, { keyPath: 'id' });
+    };
+    const db = await idbRequest(openRequest);
+    try {
+        return await idbRequest(callback(db.transaction(SUBMISSION_QUEUE_STORE, mode).objectStore(SUBMISSION_QUEUE_STORE)));
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Saves a submission to be sent later. FormData bodies are stored as their
+ * entries, which keeps uploaded files.
+ * @param {object} submission - { id, url, label, body } where body is a plain object or FormData.
+ * @returns {Promise<void>}
+ */
+function queueSubmission({ id, url, label, body }) {
+    const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
+    const record = {
+        id,
+        url,
+        label,
+        isFormData,
+        body: isFormData ? Array.from(body.entries()) : body,
+        queuedAt: Date.now()
+    };
+    return withSubmissionStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Lists the queued submissions, oldest first.
+ * @returns {Promise<object[]>} The queued submissions.
+ */
+async function getQueuedSubmissions() {
+    const submissions = await withSubmissionStore('readonly', store => store.getAll());
+    return submissions.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Removes a submission from the queue.
+ * @param {string} id - The submission id.
+ * @returns {Promise<void>}
+ */
+function removeQueuedSubmission(id) {
+    return withSubmissionStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Posts a queued submission again.
+ * @param {object} submission - A record from the queue.
+ * @returns {Promise<Response>} The server's response.
+ */
+function sendQueuedSubmission(submission) {
+    if (submission.isFormData) {
+        const body = new FormData();
+        submission.body.forEach(([name, value]) => body.append(name, value));
+        return fetch(submission.url, { method: 'POST', body });
+    }
+    return fetch(submission.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(submission.body)
+    });
+}
+
+/**
+ * Sends the queued submissions, oldest first, stopping at the first one that
+ * fails for lack of a connection or a temporary server problem; those stay
+ * queued. Submissions the server refuses outright are dropped, as sending
+ * them again would not help.
+ * @returns {Promise<{sent: object[], rejected: object[], remaining: number}>}
+ *   Submissions sent and refused (with the server's `error`), and how many are still queued.
+ */
+async function flushSubmissionQueue() {
+    const submissions = await getQueuedSubmissions();
+    const sent = [];
+    const rejected = [];
+    for (const submission of submissions) {
+        let response;
+        try {
+            response = await sendQueuedSubmission(submission);
+        } catch (err) {
+            break;
+        }
+        // 409: the same submission is being handled by another retry
+        if (response.ok || response.status === 409) {
+            sent.push(submission);
+        } else if (response.status >= 500 || response.status === 408 || response.status === 429) {
+            break;
+        } else {
+            const result = await response.json().catch(() => ({}));
+            rejected.push({ ...submission, error: result.error || `Request failed with status ${response.status}` });
+        }
+        await removeQueuedSubmission(submission.id);
+    }
+    return { sent, rejected, remaining: submissions.length - sent.length - rejected.length };
+}
@@ -0,0 +1,178 @@
+// Service worker for the Muster Consultants website, registered from scr.js.
+//
+// - The shell (pages, style.css, scr.js, logo, manifest) is precached on install.
+// - Pages are fetched from the network first so content stays fresh, falling
+//   back to the cached copy and then to offline.html.
+// - Shell assets, images and the CDN stylesheets and scripts the pages use are
+//   served stale-while-revalidate: straight from the cache, updated in the background.
+// - API requests are never cached.
+// - Form submissions queued while offline are sent from Background Sync
+//   (see submission-queue.js).
+//
+// Bump CACHE_VERSION whenever the shell changes. The new worker then precaches
+// into fresh caches and deletes the old ones when it activates.
+
+importScripts('/submission-queue.js');
+
+const CACHE_VERSION = 'v7';
+const CACHE_PREFIX = 'musterd-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const CDN_CACHE = `${CACHE_PREFIX}cdn-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, IMAGE_CACHE, CDN_CACHE];
+
+const OFFLINE_PAGE = '/offline.html';
+
+// admin.html is left out on purpose: it is useless without the API
+const SHELL_URLS = [
+    '/',
+    '/index.html',
+    '/about.html',
+    '/permanent_staffing.html',
+    '/contract_staffing.html',
+    '/rpo.html',
+    '/leadership_hiring.html',
+    '/specialist_services.html',
+    '/hr_support.html',
+    '/training_development.html',
+    '/industries_served.html',
+    '/seeker.html',
+    '/gallery.html',
+    '/contact.html',
+    '/job_alerts.html',
+    OFFLINE_PAGE,
+    '/style.css',
+    '/scr.js',
+    '/submission-queue.js',
+    '/logo.jpg',
+    '/icon.svg',
+    '/manifest.webmanifest'
+];
+
+// Hosts of the stylesheets, scripts and fonts every page loads
+const CDN_HOSTS = [
+    'cdn.tailwindcss.com',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+// Oldest images are dropped beyond this, so the image cache can't grow without bound
+const MAX_CACHED_IMAGES = 80;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Deletes the oldest entries of a cache beyond `maxEntries`.
+ * @param {string} cacheName - The cache to trim.
+ * @param {number} maxEntries - How many entries to keep.
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Answers from the cache when it can while fetching a fresh copy into the
+ * cache for next time. Waits for the network only on a cache miss.
+ * @param {FetchEvent} event - The fetch being handled.
+ * @param {string} cacheName - The cache to read from and update.
+ * @param {number} [maxEntries] - Trim the cache to this many entries after updating it.
+ * @returns {Promise<Response>} The response for the page.
+ */
+async function staleWhileRevalidate(event, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: cacheName === SHELL_CACHE });
+    const update = fetch(event.request)
+        .then(async (response) => {
+            // Opaque responses from CDNs can't be checked, but are still worth keeping
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(event.request, response.clone());
+                if (maxEntries) await trimCache(cacheName, maxEntries);
+            }
+            return response;
+        });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * Fetches a page from the network, keeping a copy in the shell cache. Offline,
+ * serves the cached copy of the page, or the offline page if there is none.
+ * @param {FetchEvent} event - The navigation being handled.
+ * @returns {Promise<Response>} The response for the page.
+ */
+async function networkFirstPage(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) event.waitUntil(cache.put(event.request, response.clone()));
+        return response;
+    } catch (err) {
+        return (await cache.match(event.request, { ignoreSearch: true })) || cache.match(OFFLINE_PAGE);
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Job detail pages, feeds and the sitemap come from the API server
+        if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/jobs')) return;
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(event));
+        } else if (request.destination === 'image') {
+            event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_CACHED_IMAGES));
+        } else if (SHELL_URLS.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_CACHED_IMAGES));
+    }
+});
+
+/**
+ * Sends the queued form submissions and tells any open pages how it went.
+ * Rejects while submissions remain, so the browser tries the sync again later.
+ * @returns {Promise<void>}
+ */
+async function sendQueuedSubmissions() {
+    const { sent, rejected, remaining } = await flushSubmissionQueue();
+    if (sent.length || rejected.length) {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windows.forEach(client => client.postMessage({
+            type: 'submissions-sent',
+            sent: sent.map(submission => submission.label),
+            rejected: rejected.map(submission => ({ label: submission.label, error: submission.error }))
+        }));
+    }
+    if (remaining) throw new Error(`${remaining} form submission(s) still queued`);
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SUBMISSION_SYNC_TAG) event.waitUntil(sendQueuedSubmissions());
+});